@@ -0,0 +1,332 @@
+/**
+ * His Children - Analytics
+ * Storefront events passed to pluggable sinks. Every event has the same shape:
+ *   { schema, id, name, time, sessionId, page, currency, properties }
+ * Amounts in properties are US dollars, like the cart; currency is the
+ * shopper's display currency. Load before cart.js.
+ *
+ * Nothing is recorded when the browser sends Do Not Track or Global Privacy
+ * Control, or when the shopper turns sharing off. Remote sinks, which send
+ * events off the device, also wait until the shopper turns sharing on.
+ */
+
+const Analytics = {
+  CONSENT_KEY: 'hischildren_analytics_consent',
+  BUFFER_KEY: 'hischildren_events',
+  DEBUG_KEY: 'hischildren_analytics_debug',
+  SESSION_KEY: 'hischildren_session',
+  SCHEMA_VERSION: 1,
+  BUFFER_LIMIT: 200,
+
+  /**
+   * Events the storefront records, and what their properties hold
+   *   product_view      { item }
+   *   add_to_cart       { item, value }                item.quantity is the number added
+   *   remove_from_cart  { item, value }                item.quantity is the number removed
+   *   begin_checkout    { items, value, itemCount }
+   *   shipping_selected { method, cost, value }
+   *   purchase          { orderNumber, items, value, subtotal, discount, shipping, tax, promoCode }
+   *                                                    discount includes bundle savings
+   * Items are described by describeItem().
+   */
+  EVENTS: ['product_view', 'add_to_cart', 'remove_from_cart', 'begin_checkout', 'shipping_selected', 'purchase'],
+
+  sinks: [],
+
+  /**
+   * Add a sink, replacing any sink with the same name
+   * A sink is { name, send(event), remote }. send() gets each event as it
+   * happens; remote is true for sinks that send events off the device, which
+   * only receive events once the shopper has turned sharing on.
+   * @param {Object} sink - Sink
+   */
+  addSink(sink) {
+    this.removeSink(sink.name);
+    this.sinks.push(sink);
+  },
+
+  /**
+   * Remove a sink
+   * @param {string} name - Sink name
+   */
+  removeSink(name) {
+    this.sinks = this.sinks.filter(sink => sink.name !== name);
+  },
+
+  /**
+   * Wrap an analytics provider's client as a remote sink
+   * @example
+   *   Analytics.addSink(Analytics.createProviderSink('plausible', event => {
+   *     window.plausible(event.name, { props: event.properties });
+   *   }));
+   * @param {string} name - Sink name
+   * @param {Function} send - Called with each event; translate it for the provider here
+   * @returns {Object} Sink
+   */
+  createProviderSink(name, send) {
+    return { name, remote: true, send };
+  },
+
+  /**
+   * Check whether the browser asks not to be tracked
+   * @returns {boolean} True for Do Not Track or Global Privacy Control
+   */
+  isDoNotTrack() {
+    return navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true;
+  },
+
+  /**
+   * Get the shopper's sharing choice
+   * @returns {string|null} 'granted', 'denied', or null when they haven't chosen
+   */
+  getConsent() {
+    try {
+      const consent = localStorage.getItem(this.CONSENT_KEY);
+      return consent === 'granted' || consent === 'denied' ? consent : null;
+    } catch (e) {
+      console.error('Error reading analytics consent:', e);
+      return null;
+    }
+  },
+
+  /**
+   * Record the shopper's sharing choice
+   * Turning sharing off also clears the events kept on this device.
+   * @param {boolean} granted - True to share, false to record nothing
+   */
+  setConsent(granted) {
+    try {
+      localStorage.setItem(this.CONSENT_KEY, granted ? 'granted' : 'denied');
+    } catch (e) {
+      console.error('Error saving analytics consent:', e);
+    }
+    if (!granted) this.clearEvents();
+  },
+
+  /**
+   * Check whether a sink may receive events right now
+   * @param {Object} sink - Sink
+   * @returns {boolean} True when the event may be passed on
+   */
+  canSend(sink) {
+    if (this.isDoNotTrack()) return false;
+    const consent = this.getConsent();
+    if (consent === 'denied') return false;
+    return !sink.remote || consent === 'granted';
+  },
+
+  /**
+   * Record an event
+   * @param {string} name - One of Analytics.EVENTS
+   * @param {Object} properties - Event properties, as listed in Analytics.EVENTS
+   * @returns {Object|null} The event, or null when it wasn't recorded
+   */
+  track(name, properties = {}) {
+    if (!this.EVENTS.includes(name)) {
+      console.error('Unknown analytics event:', name);
+      return null;
+    }
+
+    const sinks = this.sinks.filter(sink => this.canSend(sink));
+    if (sinks.length === 0) return null;
+
+    const event = {
+      schema: this.SCHEMA_VERSION,
+      id: this.createId(),
+      name,
+      time: new Date().toISOString(),
+      sessionId: this.getSessionId(),
+      page: window.location.pathname,
+      currency: Currency.getCode(),
+      properties
+    };
+
+    // One failing sink mustn't stop the others, or the page
+    sinks.forEach(sink => {
+      try {
+        sink.send(event);
+      } catch (e) {
+        console.error(`Error sending analytics event to ${sink.name}:`, e);
+      }
+    });
+    return event;
+  },
+
+  /**
+   * Describe a cart line, order line or product for an event
+   * @param {Object} item - Cart or order item, or a product
+   * @param {number} quantity - Quantity the event is about (defaults to the line's quantity)
+   * @returns {Object} { id, sku, name, price, quantity, collection, bundle }
+   */
+  describeItem(item, quantity = item.quantity) {
+    return {
+      id: item.id,
+      sku: item.sku || null,
+      name: item.name,
+      price: item.price,
+      quantity: quantity === undefined ? 1 : quantity,
+      collection: item.collectionSlug || null,
+      bundle: item.type === 'bundle'
+    };
+  },
+
+  /**
+   * Describe cart or order lines, with their total value
+   * @param {Array} items - Cart or order items
+   * @returns {Object} { items, value }
+   */
+  describeItems(items) {
+    return {
+      items: items.map(item => this.describeItem(item)),
+      value: this.roundAmount(items.reduce((sum, item) => sum + item.price * item.quantity, 0))
+    };
+  },
+
+  /**
+   * Record an add_to_cart or remove_from_cart event for a cart line
+   * @param {string} name - 'add_to_cart' or 'remove_from_cart'
+   * @param {Object} item - Cart item
+   * @param {number} quantity - Units added or removed
+   */
+  trackCartChange(name, item, quantity) {
+    this.track(name, {
+      item: this.describeItem(item, quantity),
+      value: this.roundAmount(item.price * quantity)
+    });
+  },
+
+  roundAmount(amount) {
+    return Math.round(amount * 100) / 100;
+  },
+
+  /**
+   * Get the ID shared by every event in this browser tab's visit
+   * @returns {string} Session ID
+   */
+  getSessionId() {
+    try {
+      let id = sessionStorage.getItem(this.SESSION_KEY);
+      if (!id) {
+        id = this.createId();
+        sessionStorage.setItem(this.SESSION_KEY, id);
+      }
+      return id;
+    } catch (e) {
+      console.error('Error reading analytics session:', e);
+      return null;
+    }
+  },
+
+  createId() {
+    if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  },
+
+  /**
+   * Get the events kept on this device, oldest first
+   * @returns {Array} Events
+   */
+  getEvents() {
+    const { value } = Cart.readStorage(this.BUFFER_KEY);
+    return Array.isArray(value) ? value : [];
+  },
+
+  /**
+   * Keep an event on this device, dropping the oldest past BUFFER_LIMIT
+   * @param {Object} event - Event
+   */
+  bufferEvent(event) {
+    const events = this.getEvents().concat(event).slice(-this.BUFFER_LIMIT);
+    try {
+      localStorage.setItem(this.BUFFER_KEY, JSON.stringify(events));
+    } catch (e) {
+      console.error('Error saving analytics event:', e);
+    }
+  },
+
+  /**
+   * Forget the events kept on this device
+   */
+  clearEvents() {
+    try {
+      localStorage.removeItem(this.BUFFER_KEY);
+    } catch (e) {
+      console.error('Error clearing analytics events:', e);
+    }
+  },
+
+  /**
+   * Download the events kept on this device as a JSON file
+   */
+  exportEvents() {
+    const url = URL.createObjectURL(new Blob([JSON.stringify(this.getEvents(), null, 2) + '\n'], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `hischildren-events-${new Date().toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  },
+
+  /**
+   * Check whether events are also logged to the console
+   * @returns {boolean} True when debugging is on
+   */
+  isDebug() {
+    try {
+      return localStorage.getItem(this.DEBUG_KEY) === 'true';
+    } catch (e) {
+      return false;
+    }
+  },
+
+  /**
+   * Turn console logging of events on or off
+   * @param {boolean} on - True to log every event
+   */
+  setDebug(on) {
+    try {
+      if (on) {
+        localStorage.setItem(this.DEBUG_KEY, 'true');
+      } else {
+        localStorage.removeItem(this.DEBUG_KEY);
+      }
+    } catch (e) {
+      console.error('Error saving analytics debug setting:', e);
+    }
+  },
+
+  /**
+   * Connect the sharing checkbox (#analyticsConsent)
+   * When the browser asks not to be tracked, the checkbox is turned off and
+   * says why.
+   */
+  bindConsent() {
+    const checkbox = document.getElementById('analyticsConsent');
+    if (!checkbox || checkbox.dataset.bound) return;
+    checkbox.dataset.bound = 'true';
+
+    if (this.isDoNotTrack()) {
+      checkbox.checked = false;
+      checkbox.disabled = true;
+      checkbox.closest('label').title = 'Your browser asks not to be tracked, so nothing is recorded.';
+      return;
+    }
+
+    checkbox.checked = this.getConsent() === 'granted';
+    checkbox.addEventListener('change', () => this.setConsent(checkbox.checked));
+  }
+};
+
+// Events are kept on this device for export, and logged to the console while debugging
+Analytics.addSink({ name: 'buffer', remote: false, send: event => Analytics.bufferEvent(event) });
+Analytics.addSink({
+  name: 'console',
+  remote: false,
+  send: event => {
+    if (Analytics.isDebug()) console.log('[analytics]', event.name, event);
+  }
+});
+
+document.addEventListener('DOMContentLoaded', () => Analytics.bindConsent());
@@ -1,471 +1,1502 @@
 /**
  * His Children - Cart Functionality
  * Handles cart state with localStorage persistence
+ *
+ * The cart lives only in localStorage, so every tab shares it. Each change
+ * re-reads the stored cart before writing, which is how edits from two tabs
+ * merge: adds and quantity steps apply on top of the latest cart, a line
+ * removed in one tab stays removed in the other, and when both tabs set the
+ * same line's quantity the later write wins. Pages re-render through
+ * Cart.subscribe(), which hears this tab's changes and other tabs' alike.
  */
 
 const Cart = {
   STORAGE_KEY: 'hischildren_cart',
   ORDER_KEY: 'hischildren_last_order',
+  ORDERS_KEY: 'hischildren_orders',
+  PROMO_KEY: 'hischildren_promo',
+
+  CART_VERSION: 3,
+  ORDER_VERSION: 5,
+
+  /**
+   * Cart migrations, keyed by the version each one upgrades from
+   * Version 1 was a bare array of lines; lines from before variants had no lineId.
+   */
+  CART_MIGRATIONS: {
+    1: cart => ({
+      version: 2,
+      items: cart.items
+        .filter(item => item && typeof item === 'object' && item.id)
+        .map(item => Object.assign({ sku: null, options: null }, item, {
+          lineId: item.lineId || item.id,
+          quantity: Math.max(1, parseInt(item.quantity, 10) || 1)
+        })),
+      notices: []
+    }),
+    // Version 2 carts had no gift options
+    2: cart => Object.assign({ gift: { wrap: false, message: '', hidePrices: false } }, cart, { version: 3 })
+  },
+
+  /**
+   * Saved order migrations, keyed by the version each one upgrades from
+   * Version 1 orders had no version field and may predate statuses,
+   * shipping, tax and addresses.
+   */
+  ORDER_MIGRATIONS: {
+    1: order => Object.assign({
+      status: 'placed',
+      statusHistory: [{ status: 'placed', date: order.date }],
+      discount: null,
+      shipping: null,
+      tax: null,
+      customer: null,
+      shippingAddress: null,
+      billingAddress: null,
+      billingSameAsShipping: true
+    }, order, {
+      version: 2,
+      items: (Array.isArray(order.items) ? order.items : []).map(item =>
+        Object.assign({ sku: null, options: null }, item, { lineId: item.lineId || item.id })
+      )
+    }),
+    // Version 2 orders were placed before the payment step
+    2: order => Object.assign({ payment: null }, order, { version: 3 }),
+    // Version 3 orders were placed before gift options
+    3: order => Object.assign({ gift: null }, order, { version: 4 }),
+    // Version 4 orders were all placed in US dollars
+    4: order => Object.assign({ currency: { code: 'USD', rate: 1 } }, order, { version: 5 })
+  },
+
+  /**
+   * Order statuses and the statuses each can move to
+   */
+  ORDER_STATUSES: {
+    placed: { label: 'Placed', next: ['shipped', 'cancelled'] },
+    shipped: { label: 'Shipped', next: ['delivered'] },
+    delivered: { label: 'Delivered', next: [] },
+    cancelled: { label: 'Cancelled', next: [] }
+  },
+
+  listeners: [],
+
+  /**
+   * Listen for cart changes
+   * Listeners are called with { source, items } after any change to the
+   * cart lines or promo code. source is 'local' for a change made in this
+   * tab and 'remote' for one made in another tab.
+   * @param {Function} listener - Called with the change
+   * @returns {Function} Call to stop listening
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => this.unsubscribe(listener);
+  },
+
+  /**
+   * Stop listening for cart changes
+   * @param {Function} listener - Listener passed to subscribe()
+   */
+  unsubscribe(listener) {
+    this.listeners = this.listeners.filter(l => l !== listener);
+  },
+
+  /**
+   * Tell listeners the cart changed
+   * A listener that throws doesn't stop the others.
+   * @param {string} source - 'local' or 'remote'
+   */
+  notify(source = 'local') {
+    const change = { source, items: this.getItems() };
+    this.listeners.slice().forEach(listener => {
+      try {
+        listener(change);
+      } catch (e) {
+        console.error('Error in cart listener:', e);
+      }
+    });
+  },
+
+  /**
+   * Read and parse a stored JSON value
+   * A value that won't parse is moved to "<key>_corrupt" so it can be
+   * inspected, and reported instead of being silently dropped. Storage that
+   * can't be read at all (private browsing, storage turned off) reads as empty.
+   * @param {string} key - localStorage key
+   * @returns {Object} { value, corrupt } where value is null when missing or corrupt
+   */
+  readStorage(key) {
+    let raw;
+    try {
+      raw = localStorage.getItem(key);
+    } catch (e) {
+      console.error(`Error reading ${key}:`, e);
+      return { value: null, corrupt: false };
+    }
+    if (raw === null) return { value: null, corrupt: false };
+
+    try {
+      return { value: JSON.parse(raw), corrupt: false };
+    } catch (e) {
+      console.error(`Error reading ${key}; moved to ${key}_corrupt:`, e);
+      try {
+        localStorage.setItem(`${key}_corrupt`, raw);
+      } catch (copyError) {
+        console.error(`Error keeping a copy of ${key}:`, copyError);
+      }
+      this.removeStorage(key);
+      return { value: null, corrupt: true };
+    }
+  },
+
+  /**
+   * Remove a stored value
+   * Storage that can't be written (private browsing, storage turned off) is
+   * reported rather than thrown.
+   * @param {string} key - localStorage key
+   */
+  removeStorage(key) {
+    try {
+      localStorage.removeItem(key);
+    } catch (e) {
+      console.error(`Error removing ${key}:`, e);
+    }
+  },
+
+  /**
+   * Read the stored cart, upgrading older versions
+   * An unreadable cart is reset, with a notice saying so.
+   * @returns {Object} { version, items, notices, gift }
+   */
+  readCart() {
+    const { value, corrupt } = this.readStorage(this.STORAGE_KEY);
+    const empty = { version: this.CART_VERSION, items: [], notices: [], gift: { wrap: false, message: '', hidePrices: false } };
+
+    if (value === null && !corrupt) return empty;
+
+    let cart = Array.isArray(value) ? { version: 1, items: value } : value;
+    if (!cart || typeof cart !== 'object' || !Array.isArray(cart.items)) {
+      if (!corrupt) console.error('Error reading cart: unexpected format', value);
+      empty.notices.push({ type: 'reset' });
+      this.writeCart(empty);
+      return empty;
+    }
+
+    const storedVersion = cart.version;
+    while (this.CART_MIGRATIONS[cart.version]) {
+      cart = this.CART_MIGRATIONS[cart.version](cart);
+    }
+    if (!Array.isArray(cart.notices)) cart.notices = [];
+    if (cart.version !== storedVersion) this.writeCart(cart);
+
+    return cart;
+  },
+
+  /**
+   * Write the whole cart record
+   * @param {Object} cart - { version, items, notices, gift }
+   */
+  writeCart(cart) {
+    try {
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(cart));
+    } catch (e) {
+      console.error('Error saving cart:', e);
+      return;
+    }
+    this.notify('local');
+  },
 
   /**
    * Get all cart items
    * @returns {Array} Array of cart items
    */
   getItems() {
+    return this.readCart().items;
+  },
+
+  /**
+   * Save items to cart
+   * @param {Array} items - Array of cart items
+   */
+  saveItems(items) {
+    const cart = this.readCart();
+    cart.items = items;
+    this.writeCart(cart);
+  },
+
+  /**
+   * Bring cart lines in line with the current catalog
+   * Lines are repriced and refreshed from the catalog, and lines whose
+   * product or variant no longer exists are dropped. What changed is kept
+   * as notices for the cart or checkout page to show. Does nothing until a
+   * catalog has loaded.
+   * @returns {Array} Changes: { type: 'repriced' | 'removed', name, options, from, to }
+   */
+  reconcile() {
+    if (getAllProducts().length === 0) return [];
+
+    const cart = this.readCart();
+    const before = JSON.stringify(cart.items);
+    const changes = [];
+
+    cart.items = cart.items.filter(item => {
+      if (this.isBundleLine(item)) return this.reconcileBundleLine(item, changes);
+
+      const product = getProduct(item.id);
+      const variant = product && item.sku ? getVariant(product, item.sku) : null;
+
+      if (!product || (item.sku && !variant)) {
+        changes.push({ type: 'removed', name: item.name, options: item.options || null });
+        return false;
+      }
+
+      const purchasable = applyVariant(product, variant);
+      const price = getEffectivePrice(purchasable);
+      if (price !== item.price) {
+        changes.push({ type: 'repriced', name: product.name, options: item.options || null, from: item.price, to: price });
+      }
+
+      Object.assign(item, {
+        name: product.name,
+        price,
+        originalPrice: purchasable.price,
+        salePrice: purchasable.salePrice,
+        image: purchasable.image,
+        collection: product.collection,
+        collectionSlug: product.collectionSlug
+      });
+      return true;
+    });
+
+    if (changes.length > 0 || JSON.stringify(cart.items) !== before) {
+      cart.notices = cart.notices.concat(changes);
+      this.writeCart(cart);
+    }
+    return changes;
+  },
+
+  /**
+   * Bring a bundle line in line with the current catalog
+   * The line is dropped when the bundle or any of its components is gone.
+   * @param {Object} item - Bundle cart line (updated in place)
+   * @param {Array} changes - Changes found so far (appended to)
+   * @returns {boolean} True to keep the line
+   */
+  reconcileBundleLine(item, changes) {
+    const bundle = getBundle(item.id);
+    const pricing = bundle ? getBundlePricing(bundle) : null;
+
+    if (!pricing) {
+      changes.push({ type: 'removed', name: item.name, options: null });
+      return false;
+    }
+    if (pricing.price !== item.price) {
+      changes.push({ type: 'repriced', name: bundle.name, options: null, from: item.price, to: pricing.price });
+    }
+
+    Object.assign(item, this.createBundleLine(bundle, item.quantity));
+    return true;
+  },
+
+  /**
+   * Get the cart's pending notices and clear them
+   * @returns {Array} Notices from reconcile() or a reset
+   */
+  takeNotices() {
+    const cart = this.readCart();
+    if (cart.notices.length === 0) return [];
+
+    const notices = cart.notices;
+    cart.notices = [];
+    this.writeCart(cart);
+    return notices;
+  },
+
+  /**
+   * Describe a cart notice for customers
+   * @param {Object} notice - Notice from takeNotices()
+   * @returns {string} Message
+   */
+  describeNotice(notice) {
+    const name = notice.options ? `${notice.name} (${formatVariantOptions(notice.options)})` : notice.name;
+    if (notice.type === 'reset') {
+      return "We couldn't read your saved cart, so it has been emptied.";
+    }
+    if (notice.type === 'removed') {
+      return `${name} is no longer available and was removed from your cart.`;
+    }
+    if (notice.type === 'repriced') {
+      const direction = notice.to < notice.from ? 'dropped' : 'changed';
+      return `The price of ${name} ${direction} from ${this.formatPrice(notice.from)} to ${this.formatPrice(notice.to)}.`;
+    }
+    return '';
+  },
+
+  /**
+   * Get the key that identifies a cart line
+   * Lines are keyed by product and variant, so two sizes of one product
+   * stay separate. Lines saved before variants existed use the product ID.
+   * @param {Object} item - Cart item
+   * @returns {string} Line ID
+   */
+  getLineId(item) {
+    return item.lineId || item.id;
+  },
+
+  /**
+   * Key for the stock a unit draws on, in the same form as cart line IDs
+   * @param {string} productId - Product ID
+   * @param {string|null} sku - Variant SKU, or null for products without variants
+   * @returns {string} e.g. "oliver-gentle-bear::HC-OLIVER-CLASSIC"
+   */
+  getUnitKey(productId, sku = null) {
+    return sku ? `${productId}::${sku}` : productId;
+  },
+
+  /**
+   * Count the units of each product and variant across the cart
+   * Bundle lines count each of their components once per set, so a product
+   * bought on its own and inside a bundle adds up towards one stock figure
+   * and one per-order limit.
+   * @param {Array} items - Cart items
+   * @returns {Map} Unit key (see getUnitKey()) -> units
+   */
+  getUnitCounts(items) {
+    const counts = new Map();
+    items.forEach(item => {
+      const parts = this.isBundleLine(item) ? (item.components || []) : [item];
+      parts.forEach(part => {
+        const key = this.getUnitKey(part.id, part.sku || null);
+        counts.set(key, (counts.get(key) || 0) + item.quantity);
+      });
+    });
+    return counts;
+  },
+
+  /**
+   * Get the most units a line may hold, given every other line in the cart
+   * @param {Array} parts - What one unit of the line takes from stock: [{ product, variant }]
+   * @param {Array} items - Cart items
+   * @param {number} current - Units the line itself holds now
+   * @returns {number} Maximum quantity for the line
+   */
+  getAvailableUnits(parts, items, current) {
+    const counts = this.getUnitCounts(items);
+    return Math.max(0, Math.min(...parts.map(({ product, variant }) => {
+      const inOtherLines = (counts.get(this.getUnitKey(product.id, variant ? variant.sku : null)) || 0) - current;
+      return getMaxOrderQuantity(product, variant) - inOtherLines;
+    })));
+  },
+
+  /**
+   * List what one unit of a cart line takes from stock
+   * @param {Object} item - Cart item
+   * @returns {Array|null} [{ product, variant }], or null when a product or variant isn't in the catalog
+   */
+  getLineParts(item) {
+    const parts = (this.isBundleLine(item) ? (item.components || []) : [item]).map(part => {
+      const product = getProduct(part.id);
+      const variant = product && part.sku ? getVariant(product, part.sku) : null;
+      return product && (!part.sku || variant) ? { product, variant } : null;
+    });
+    return parts.length > 0 && parts.every(Boolean) ? parts : null;
+  },
+
+  /**
+   * Add item to cart
+   * The quantity is clamped to what is in stock and allowed per order,
+   * counting units of the same item already in the cart, bundles included.
+   * Result status is one of:
+   *   'added'         - the full quantity was added
+   *   'clamped'       - only part of the quantity fit within the limit
+   *   'limit_reached' - the cart already holds the most allowed
+   *   'sold_out'      - nothing is available
+   *   'no_variant'    - the product has variants and variantSku doesn't name one
+   * @param {Object} product - Product to add
+   * @param {number} quantity - Quantity to add
+   * @param {string} variantSku - SKU of the chosen variant; required when the product has variants
+   * @returns {Object} { status, added, quantity, available, items }
+   */
+  addItem(product, quantity = 1, variantSku = null) {
+    const items = this.getItems();
+    const variant = variantSku ? getVariant(product, variantSku) : null;
+
+    // A product sold in variants is only ever sold as one of them
+    if (hasVariants(product) && !variant) {
+      return { status: 'no_variant', added: 0, quantity: 0, available: 0, items };
+    }
+
+    const purchasable = applyVariant(product, variant);
+    const lineId = variant ? `${product.id}::${variant.sku}` : product.id;
+    const existingIndex = items.findIndex(item => this.getLineId(item) === lineId);
+    const current = existingIndex > -1 ? items[existingIndex].quantity : 0;
+    const available = this.getAvailableUnits([{ product, variant }], items, current);
+    const added = Math.max(0, Math.min(quantity, available - current));
+
+    if (added === 0) {
+      return {
+        status: getMaxOrderQuantity(product, variant) === 0 ? 'sold_out' : 'limit_reached',
+        added: 0,
+        quantity: current,
+        available,
+        items
+      };
+    }
+
+    // Use sale price if available, otherwise regular price
+    const effectivePrice = getEffectivePrice(purchasable);
+
+    if (existingIndex > -1) {
+      items[existingIndex].quantity += added;
+    } else {
+      items.push({
+        lineId,
+        id: product.id,
+        sku: variant ? variant.sku : null,
+        options: variant ? variant.options : null,
+        name: product.name,
+        price: effectivePrice,
+        originalPrice: purchasable.price,
+        salePrice: purchasable.salePrice,
+        image: purchasable.image,
+        collection: product.collection,
+        collectionSlug: product.collectionSlug,
+        quantity: added
+      });
+    }
+
+    this.saveItems(items);
+    Analytics.trackCartChange('add_to_cart', items.find(item => this.getLineId(item) === lineId), added);
+    return {
+      status: added < quantity ? 'clamped' : 'added',
+      added,
+      quantity: current + added,
+      available,
+      items
+    };
+  },
+
+  /**
+   * Check whether a cart line is a bundle
+   * @param {Object} item - Cart item
+   * @returns {boolean} True for bundle lines
+   */
+  isBundleLine(item) {
+    return item.type === 'bundle';
+  },
+
+  /**
+   * Build the cart line for a bundle
+   * The line keeps its components, so the cart, checkout and saved orders
+   * can list what the set contains.
+   * @param {Object} bundle - Bundle from the catalog
+   * @param {number} quantity - Number of sets
+   * @returns {Object} Cart item
+   */
+  createBundleLine(bundle, quantity) {
+    const pricing = getBundlePricing(bundle);
+    return {
+      lineId: `bundle::${bundle.id}`,
+      type: 'bundle',
+      id: bundle.id,
+      sku: null,
+      options: null,
+      name: bundle.name,
+      price: pricing.price,
+      originalPrice: pricing.regularPrice,
+      salePrice: pricing.price,
+      image: bundle.image,
+      collection: bundle.collectionSlug && getCollection(bundle.collectionSlug) ? getCollection(bundle.collectionSlug).name : null,
+      collectionSlug: bundle.collectionSlug,
+      components: getBundleComponents(bundle).map(({ product, variant, purchasable }) => ({
+        id: product.id,
+        sku: variant ? variant.sku : null,
+        options: variant ? variant.options : null,
+        name: product.name,
+        price: getEffectivePrice(purchasable)
+      })),
+      quantity
+    };
+  },
+
+  /**
+   * Add a bundle to the cart
+   * Works like addItem(): the quantity is clamped to the fewest sets the
+   * components' stock and order limits allow.
+   * @param {Object} bundle - Bundle from the catalog
+   * @param {number} quantity - Number of sets to add
+   * @returns {Object} { status, added, quantity, available, items } as for addItem()
+   */
+  addBundle(bundle, quantity = 1) {
+    const items = this.getItems();
+    const lineId = `bundle::${bundle.id}`;
+    const existingIndex = items.findIndex(item => this.getLineId(item) === lineId);
+    const current = existingIndex > -1 ? items[existingIndex].quantity : 0;
+    const components = getBundleComponents(bundle);
+    const available = components ? this.getAvailableUnits(components, items, current) : 0;
+    const added = Math.max(0, Math.min(quantity, available - current));
+
+    if (added === 0) {
+      return {
+        status: getBundleMaxOrderQuantity(bundle) === 0 ? 'sold_out' : 'limit_reached',
+        added: 0,
+        quantity: current,
+        available,
+        items
+      };
+    }
+
+    if (existingIndex > -1) {
+      items[existingIndex].quantity += added;
+    } else {
+      items.push(this.createBundleLine(bundle, added));
+    }
+
+    this.saveItems(items);
+    Analytics.trackCartChange('add_to_cart', items.find(item => this.getLineId(item) === lineId), added);
+    return {
+      status: added < quantity ? 'clamped' : 'added',
+      added,
+      quantity: current + added,
+      available,
+      items
+    };
+  },
+
+  /**
+   * Get how many of a cart line may be ordered right now
+   * Units of the same product or variant in other lines, bundles included,
+   * count against the limit. Falls back to the default per-order limit when
+   * the product is not in the loaded catalog.
+   * @param {Object} item - Cart item
+   * @param {Array} items - Cart items (defaults to the stored cart)
+   * @returns {number} Maximum quantity
+   */
+  getLineLimit(item, items = this.getItems()) {
+    const parts = this.getLineParts(item);
+    if (!parts) return DEFAULT_MAX_PER_ORDER;
+
+    const line = items.find(other => this.getLineId(other) === this.getLineId(item));
+    return this.getAvailableUnits(parts, items, line ? line.quantity : 0);
+  },
+
+  /**
+   * Update item quantity
+   * Result status is 'updated', 'clamped' (set to the most available),
+   * 'removed' or 'not_found'.
+   * @param {string} lineId - Cart line ID (the product ID for products without variants)
+   * @param {number} quantity - New quantity
+   * @returns {Object} { status, quantity, available, items }
+   */
+  updateQuantity(lineId, quantity) {
+    const items = this.getItems();
+    const index = items.findIndex(item => this.getLineId(item) === lineId);
+
+    if (index === -1) {
+      return { status: 'not_found', quantity: 0, available: 0, items };
+    }
+
+    const available = this.getLineLimit(items[index], items);
+    const allowed = Math.min(quantity, available);
+
+    if (allowed <= 0) {
+      const [removed] = items.splice(index, 1);
+      this.saveItems(items);
+      Analytics.trackCartChange('remove_from_cart', removed, removed.quantity);
+      return { status: 'removed', quantity: 0, available, items };
+    }
+
+    const change = allowed - items[index].quantity;
+    items[index].quantity = allowed;
+    this.saveItems(items);
+    if (change !== 0) {
+      Analytics.trackCartChange(change > 0 ? 'add_to_cart' : 'remove_from_cart', items[index], Math.abs(change));
+    }
+    return {
+      status: allowed < quantity ? 'clamped' : 'updated',
+      quantity: allowed,
+      available,
+      items
+    };
+  },
+
+  /**
+   * Step a line's quantity up or down
+   * The step applies to the quantity stored now, so a change made in
+   * another tab since this page rendered isn't overwritten.
+   * @param {string} lineId - Cart line ID
+   * @param {number} delta - Amount to add (negative to subtract)
+   * @returns {Object} Result of updateQuantity()
+   */
+  adjustQuantity(lineId, delta) {
+    const item = this.getItems().find(item => this.getLineId(item) === lineId);
+    if (!item) return this.updateQuantity(lineId, 0);
+    return this.updateQuantity(lineId, item.quantity + delta);
+  },
+
+  /**
+   * Check every cart line against current stock
+   * Stock is shared out line by line in cart order, so when a product is
+   * both on its own and inside a bundle, the later line is the one cut back.
+   * Lines for products missing from the catalog count as unavailable.
+   * Nothing is checked when no catalog has been loaded.
+   * @returns {Array} Problems: { lineId, name, options, requested, available }
+   */
+  validateStock() {
+    if (getAllProducts().length === 0) return [];
+
+    const allocated = [];
+    return this.getItems()
+      .map(item => {
+        const inCatalog = this.isBundleLine(item) ? getBundle(item.id) : getProduct(item.id);
+        const parts = inCatalog ? this.getLineParts(item) : null;
+        const available = parts ? this.getAvailableUnits(parts, allocated, 0) : 0;
+        allocated.push(Object.assign({}, item, { quantity: Math.min(item.quantity, available) }));
+        return {
+          lineId: this.getLineId(item),
+          name: item.name,
+          options: item.options || null,
+          requested: item.quantity,
+          available
+        };
+      })
+      .filter(line => line.requested > line.available);
+  },
+
+  /**
+   * Remove item from cart
+   * @param {string} lineId - Cart line ID (the product ID for products without variants)
+   */
+  removeItem(lineId) {
+    const current = this.getItems();
+    const items = current.filter(item => this.getLineId(item) !== lineId);
+    this.saveItems(items);
+    current
+      .filter(item => this.getLineId(item) === lineId)
+      .forEach(item => Analytics.trackCartChange('remove_from_cart', item, item.quantity));
+    return items;
+  },
+
+  /**
+   * Get the gift options for the whole order
+   * @returns {Object} { wrap, message, hidePrices }
+   */
+  getGiftOptions() {
+    const gift = this.readCart().gift || {};
+    return {
+      wrap: Boolean(gift.wrap),
+      message: String(gift.message || ''),
+      hidePrices: Boolean(gift.hidePrices)
+    };
+  },
+
+  /**
+   * Save the gift options for the whole order
+   * @param {Object} options - { wrap, message, hidePrices }; the message is cut to Gift.MESSAGE_LIMIT
+   * @returns {Object} The saved options
+   */
+  setGiftOptions(options) {
+    const cart = this.readCart();
+    cart.gift = Gift.normalizeOptions(options);
+    this.writeCart(cart);
+    return cart.gift;
+  },
+
+  /**
+   * Save the gift options for one cart line
+   * @param {string} lineId - Cart line ID
+   * @param {Object} gift - { wrap, message }; the message is cut to Gift.LINE_MESSAGE_LIMIT
+   * @returns {Object|null} The saved options, or null when the line is no longer a gift
+   */
+  setLineGift(lineId, gift) {
+    const items = this.getItems();
+    const item = items.find(line => this.getLineId(line) === lineId);
+    if (!item) return null;
+
+    const normalized = Gift.normalizeLine(gift);
+    if (normalized) {
+      item.gift = normalized;
+    } else {
+      delete item.gift;
+    }
+    this.saveItems(items);
+    return normalized;
+  },
+
+  /**
+   * Get the promo code entered for this cart
+   * The code is stored as plain text rather than JSON, so it's read here
+   * instead of through readStorage().
+   * @returns {string|null} Promo code or null, including when storage can't be read
+   */
+  getPromoCode() {
     try {
-      const items = localStorage.getItem(this.STORAGE_KEY);
-      return items ? JSON.parse(items) : [];
+      return localStorage.getItem(this.PROMO_KEY);
     } catch (e) {
-      console.error('Error reading cart:', e);
+      console.error('Error reading promo code:', e);
+      return null;
+    }
+  },
+
+  /**
+   * Apply a promo code to the cart
+   * The code is only kept when it currently applies.
+   * @param {string} code - Code as entered
+   * @returns {Object} Evaluation from Discounts.evaluate()
+   */
+  applyPromoCode(code) {
+    const items = this.getItems();
+    const result = Discounts.evaluate(code, this.getPromoItems(items, this.getBundleDeals(items)));
+
+    if (result.valid) {
+      try {
+        localStorage.setItem(this.PROMO_KEY, result.code);
+        this.notify('local');
+      } catch (e) {
+        console.error('Error saving promo code:', e);
+      }
+    }
+
+    return result;
+  },
+
+  /**
+   * Remove the promo code from the cart
+   */
+  removePromoCode() {
+    this.removeStorage(this.PROMO_KEY);
+    this.notify('local');
+  },
+
+  /**
+   * Find bundle savings for products added one by one
+   * When every component of a bundle is in the cart as its own line, the
+   * bundle discount applies to as many full sets as the cart holds. A
+   * component counts towards one set at a time, with bundles checked in
+   * catalog order. Bundles missing only one component are suggested instead.
+   * Components sold in variants only match lines for the bundle's variant.
+   * Lines that are already bundles are priced as sets and left alone.
+   * @param {Array} items - Cart items
+   * @returns {Object} { discount, applied: [{ bundleId, name, sets, amount }],
+   *   suggestions: [{ bundleId, name, missing: [{ id, name, options }], savings }],
+   *   units: { lineId: units counted towards a set } }
+   */
+  getBundleDeals(items) {
+    const deals = { discount: 0, applied: [], suggestions: [], units: {} };
+    const remaining = new Map();
+    items.filter(item => !this.isBundleLine(item)).forEach(item => {
+      const key = this.getLineId(item);
+      const entry = remaining.get(key) || { quantity: 0, price: Infinity };
+      entry.quantity += item.quantity;
+      entry.price = Math.min(entry.price, item.price);
+      remaining.set(key, entry);
+    });
+
+    getAllBundles().forEach(bundle => {
+      const pricing = getBundlePricing(bundle);
+      if (!pricing) return;
+
+      // Keyed like cart lines: the product ID, plus the SKU for a variant
+      const components = getBundleComponents(bundle).map(c => ({
+        key: c.variant ? `${c.product.id}::${c.variant.sku}` : c.product.id,
+        product: c.product,
+        variant: c.variant
+      }));
+      const present = components.filter(c => remaining.has(c.key) && remaining.get(c.key).quantity > 0);
+
+      if (present.length === components.length) {
+        const sets = Math.min(...present.map(c => remaining.get(c.key).quantity));
+        const setPrice = present.reduce((sum, c) => sum + remaining.get(c.key).price, 0);
+        const perSet = bundle.price !== undefined
+          ? Math.max(0, setPrice - bundle.price)
+          : setPrice * bundle.percentOff / 100;
+        const amount = Math.round(perSet * sets * 100) / 100;
+
+        present.forEach(c => {
+          remaining.get(c.key).quantity -= sets;
+          deals.units[c.key] = (deals.units[c.key] || 0) + sets;
+        });
+        if (amount > 0) {
+          deals.applied.push({ bundleId: bundle.id, name: bundle.name, sets, amount });
+          deals.discount = Math.round((deals.discount + amount) * 100) / 100;
+        }
+      } else if (present.length === components.length - 1) {
+        deals.suggestions.push({
+          bundleId: bundle.id,
+          name: bundle.name,
+          missing: components
+            .filter(c => !present.includes(c))
+            .map(c => ({ id: c.product.id, name: c.product.name, options: c.variant ? c.variant.options : null })),
+          savings: pricing.savings
+        });
+      }
+    });
+
+    return deals;
+  },
+
+  /**
+   * Get the lines a promo code is priced against
+   * Bundle lines, and the units that make up bundle deals, are already
+   * discounted, so they're split into lines marked bundled: they count towards
+   * a code's minimum but aren't discounted again.
+   * @param {Array} items - Cart items
+   * @param {Object} deals - getBundleDeals() result for the same items
+   * @returns {Array} Items for Discounts.evaluate()
+   */
+  getPromoItems(items, deals) {
+    const bundled = Object.assign({}, deals.units);
+    const promoItems = [];
+    items.forEach(item => {
+      const key = this.getLineId(item);
+      const units = this.isBundleLine(item) ? item.quantity : Math.min(item.quantity, bundled[key] || 0);
+      if (units > 0) {
+        bundled[key] = (bundled[key] || 0) - units;
+        promoItems.push(Object.assign({}, item, { quantity: units, bundled: true }));
+      }
+      if (item.quantity > units) {
+        promoItems.push(Object.assign({}, item, { quantity: item.quantity - units }));
+      }
+    });
+    return promoItems;
+  },
+
+  /**
+   * Get cart totals
+   * A saved promo code is re-checked on every call, so a code that stops
+   * applying (cart below its minimum, or expired) drops to a zero discount
+   * and reports why in promo.message. Complete sets of bundle components
+   * get the bundle discount (see getBundleDeals()), and the promo code only
+   * discounts units outside bundles (see getPromoItems()). Shipping is priced by
+   * the Shipping rules on the merchandise total after discounts, gift wrap
+   * is priced by the Gift fees and taxed with the merchandise, and tax is
+   * estimated from the rate table for the state and ZIP.
+   * @param {Object} options - { shippingMethod, state, zip, taxRates } chosen at checkout (optional);
+   *   taxRates defaults to Tax.RATES
+   * @returns {Object} Subtotal, discount, promo, bundle discount, bundle deals, shipping,
+   *   shipping quote, gift wrap, gift quote, tax, tax quote, and total
+   */
+  getTotals(options = {}) {
+    const items = this.getItems();
+    const subtotal = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+    const bundles = this.getBundleDeals(items);
+    const promoCode = this.getPromoCode();
+    const promo = promoCode && items.length > 0
+      ? Discounts.evaluate(promoCode, this.getPromoItems(items, bundles))
+      : null;
+    const discount = promo && promo.valid ? promo.amount : 0;
+    const bundleDiscount = Math.min(bundles.discount, subtotal - discount);
+    const merchandise = subtotal - discount - bundleDiscount;
+    const shippingQuote = Shipping.quote(
+      options.shippingMethod || Shipping.DEFAULT_METHOD,
+      merchandise,
+      options.state
+    );
+    const shipping = shippingQuote.cost;
+    const giftQuote = Gift.quote(items, this.getGiftOptions());
+    const gift = giftQuote.fee;
+    const taxQuote = Tax.quote(merchandise + gift, shipping, options.state, options.zip, options.taxRates);
+    const tax = taxQuote.amount;
+    const total = merchandise + gift + shipping + tax;
+
+    return {
+      subtotal,
+      discount,
+      promo,
+      bundleDiscount,
+      bundles,
+      shipping,
+      shippingQuote,
+      gift,
+      giftQuote,
+      tax,
+      taxQuote,
+      total,
+      itemCount: this.getItemCount()
+    };
+  },
+
+  /**
+   * Get the number of units in the cart
+   * @returns {number} Total quantity across all lines
+   */
+  getItemCount() {
+    return this.getItems().reduce((sum, item) => sum + item.quantity, 0);
+  },
+
+  /**
+   * Clear all items, gift options and the promo code from cart
+   */
+  clear() {
+    this.removeStorage(this.STORAGE_KEY);
+    this.removeStorage(this.PROMO_KEY);
+    this.notify('local');
+  },
+
+  /**
+   * Save order details before clearing cart
+   * The order is added to the order history and kept as the last order
+   * for the confirmation page, along with the currency it was placed in.
+   * @param {Object} options - { shippingMethod, state, zip, taxRates } chosen at checkout, plus
+   *   the validated { customer, shippingAddress, billingAddress, billingSameAsShipping } and
+   *   the payment record from Payment.pay(). Pass the { items, totals, currency, giftOptions }
+   *   the payment was taken for so the order records exactly what was charged; each defaults
+   *   to the cart as it is now.
+   * @returns {Object} The saved order
+   */
+  saveOrder(options = {}) {
+    const items = options.items || this.getItems();
+    const totals = options.totals || this.getTotals(options);
+    const orders = this.getOrders();
+    const orderNumber = this.generateOrderNumber(orders);
+    const date = new Date().toISOString();
+    const quote = totals.shippingQuote;
+    const taxQuote = totals.taxQuote;
+    const giftOptions = options.giftOptions || this.getGiftOptions();
+
+    const order = {
+      version: this.ORDER_VERSION,
+      orderNumber,
+      customer: options.customer || null,
+      shippingAddress: options.shippingAddress || null,
+      billingAddress: options.billingAddress || null,
+      billingSameAsShipping: options.billingSameAsShipping !== false,
+      items,
+      totals,
+      discount: totals.discount > 0
+        ? { code: totals.promo.code, label: totals.promo.label, amount: totals.discount }
+        : null,
+      shipping: {
+        method: quote.method,
+        name: quote.name,
+        time: quote.time,
+        cost: quote.cost,
+        state: quote.state
+      },
+      tax: {
+        state: taxQuote.state,
+        zip: taxQuote.zip,
+        rate: taxQuote.rate,
+        shippingTaxable: taxQuote.shippingTaxable,
+        amount: taxQuote.amount
+      },
+      gift: Gift.isGift(giftOptions, items)
+        ? Object.assign({}, giftOptions, { fee: totals.gift })
+        : null,
+      payment: options.payment || null,
+      currency: options.currency || Currency.getSelected(),
+      status: 'placed',
+      statusHistory: [{ status: 'placed', date }],
+      date
+    };
+
+    try {
+      localStorage.setItem(this.ORDER_KEY, JSON.stringify(order));
+    } catch (e) {
+      console.error('Error saving order:', e);
+    }
+    this.saveOrders([order].concat(orders));
+
+    Analytics.track('purchase', Object.assign(Analytics.describeItems(items), {
+      orderNumber,
+      value: Analytics.roundAmount(totals.total),
+      subtotal: Analytics.roundAmount(totals.subtotal),
+      discount: Analytics.roundAmount(totals.discount + totals.bundleDiscount),
+      shipping: Analytics.roundAmount(totals.shipping),
+      tax: Analytics.roundAmount(totals.tax),
+      promoCode: order.discount ? order.discount.code : null
+    }));
+
+    return order;
+  },
+
+  /**
+   * Create an order number that isn't already in the order history
+   * Combines the time with a random suffix, so orders placed in the same
+   * millisecond (or in two tabs) still get different numbers.
+   * @param {Array} orders - Existing orders
+   * @returns {string} Order number such as HC-MGX3K2A1-7QF4
+   */
+  generateOrderNumber(orders = this.getOrders()) {
+    const taken = new Set(orders.map(order => order.orderNumber));
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    let orderNumber;
+
+    do {
+      const random = new Uint32Array(4);
+      if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+        crypto.getRandomValues(random);
+      } else {
+        random.forEach((_, i) => { random[i] = Math.floor(Math.random() * 0x100000000); });
+      }
+      const suffix = Array.from(random, n => alphabet[n % alphabet.length]).join('');
+      orderNumber = `HC-${Date.now().toString(36).toUpperCase()}-${suffix}`;
+    } while (taken.has(orderNumber));
+
+    return orderNumber;
+  },
+
+  /**
+   * Upgrade a saved order to the current order version
+   * @param {Object} order - Saved order
+   * @returns {Object|null} Upgraded order, or null when it isn't an order at all
+   */
+  migrateOrder(order) {
+    if (!order || typeof order !== 'object' || !order.orderNumber) return null;
+
+    let migrated = order.version ? order : Object.assign({}, order, { version: 1 });
+    while (this.ORDER_MIGRATIONS[migrated.version]) {
+      migrated = this.ORDER_MIGRATIONS[migrated.version](migrated);
+    }
+    return migrated;
+  },
+
+  /**
+   * Get all saved orders, newest first
+   * A last order saved before order history existed is carried over.
+   * Older orders are upgraded, and entries that aren't orders are dropped.
+   * @returns {Array} Orders
+   */
+  getOrders() {
+    const { value } = this.readStorage(this.ORDERS_KEY);
+
+    if (value === null) {
+      const lastOrder = this.getLastOrder();
+      return lastOrder ? [lastOrder] : [];
+    }
+    if (!Array.isArray(value)) {
+      console.error('Error reading orders: unexpected format', value);
       return [];
     }
+
+    const orders = value.map(order => this.migrateOrder(order)).filter(Boolean);
+    if (JSON.stringify(orders) !== JSON.stringify(value)) this.saveOrders(orders);
+    return orders;
+  },
+
+  /**
+   * Save the order history
+   * @param {Array} orders - Orders, newest first
+   */
+  saveOrders(orders) {
+    try {
+      localStorage.setItem(this.ORDERS_KEY, JSON.stringify(orders));
+    } catch (e) {
+      console.error('Error saving orders:', e);
+    }
+  },
+
+  /**
+   * Find an order by its number
+   * @param {string} orderNumber - Order number
+   * @returns {Object|null} Order or null
+   */
+  getOrder(orderNumber) {
+    return this.getOrders().find(order => order.orderNumber === orderNumber) || null;
+  },
+
+  /**
+   * Move an order to a new status
+   * Only the moves listed in ORDER_STATUSES are allowed, e.g. a delivered
+   * order can't be cancelled.
+   * @param {string} orderNumber - Order number
+   * @param {string} status - New status
+   * @returns {Object|null} The updated order, or null if the order or move isn't valid
+   */
+  updateOrderStatus(orderNumber, status) {
+    const orders = this.getOrders();
+    const order = orders.find(o => o.orderNumber === orderNumber);
+    if (!order) return null;
+
+    const current = this.ORDER_STATUSES[order.status || 'placed'];
+    if (!current || !current.next.includes(status)) return null;
+
+    order.status = status;
+    order.statusHistory = (order.statusHistory || []).concat({ status, date: new Date().toISOString() });
+    this.saveOrders(orders);
+    return order;
+  },
+
+  /**
+   * Get the display label for an order status
+   * @param {string} status - Order status
+   * @returns {string} Label such as "Shipped"
+   */
+  getOrderStatusLabel(status) {
+    const entry = this.ORDER_STATUSES[status || 'placed'];
+    return entry ? entry.label : status;
+  },
+
+  /**
+   * Get last order details
+   * Upgraded to the current order version; an unreadable order reads as none.
+   * @returns {Object|null} Last order or null
+   */
+  getLastOrder() {
+    const { value } = this.readStorage(this.ORDER_KEY);
+    const order = this.migrateOrder(value);
+    if (value !== null && !order) console.error('Error reading order: unexpected format', value);
+    return order;
+  },
+
+  /**
+   * Update cart count in header
+   */
+  updateCartCount() {
+    const countElements = document.querySelectorAll('.cart-count');
+    const itemCount = this.getItemCount();
+
+    countElements.forEach(el => {
+      el.textContent = itemCount > 0 ? itemCount : '';
+    });
+  },
+
+  /**
+   * Format price for display, converted to the shopper's currency
+   * @param {number} price - Price in US dollars
+   * @param {Object} currency - { code, rate } to show it in, such as a saved order's
+   *   currency (defaults to the currency picked now)
+   * @returns {string} Formatted price string
+   */
+  formatPrice(price, currency = Currency.getSelected()) {
+    return Currency.format(price, currency);
+  }
+};
+
+/**
+ * Wishlist
+ * Products saved for later, kept separately from the cart. Entries use the
+ * same product/variant keys as cart lines and remember the price when saved.
+ */
+const Wishlist = {
+  STORAGE_KEY: 'hischildren_wishlist',
+
+  /**
+   * Get all wishlist entries, most recently saved first
+   * @returns {Array} Wishlist entries
+   */
+  getItems() {
+    const { value } = Cart.readStorage(this.STORAGE_KEY);
+    return Array.isArray(value) ? value : [];
   },
 
   /**
-   * Save items to cart
-   * @param {Array} items - Array of cart items
+   * Save wishlist entries
+   * @param {Array} items - Wishlist entries
    */
   saveItems(items) {
     try {
       localStorage.setItem(this.STORAGE_KEY, JSON.stringify(items));
-      this.updateCartCount();
+      this.updateCount();
     } catch (e) {
-      console.error('Error saving cart:', e);
+      console.error('Error saving wishlist:', e);
     }
   },
 
   /**
-   * Add item to cart
-   * @param {Object} product - Product to add
-   * @param {number} quantity - Quantity to add
+   * Get the key for a product, or one variant of it
+   * @param {string} productId - Product ID
+   * @param {string} variantSku - Variant SKU (optional)
+   * @returns {string} Entry ID, matching the cart line ID
    */
-  addItem(product, quantity = 1) {
-    const items = this.getItems();
-    const existingIndex = items.findIndex(item => item.id === product.id);
-    // Use sale price if available, otherwise regular price
-    const effectivePrice = product.salePrice || product.price;
-
-    if (existingIndex > -1) {
-      items[existingIndex].quantity += quantity;
-    } else {
-      items.push({
-        id: product.id,
-        name: product.name,
-        price: effectivePrice,
-        originalPrice: product.price,
-        salePrice: product.salePrice,
-        image: product.image,
-        collection: product.collection,
-        quantity: quantity
-      });
-    }
-
-    this.saveItems(items);
-    return items;
+  getEntryId(productId, variantSku = null) {
+    return variantSku ? `${productId}::${variantSku}` : productId;
   },
 
   /**
-   * Update item quantity
+   * Check whether a product (or variant) is saved
    * @param {string} productId - Product ID
-   * @param {number} quantity - New quantity
+   * @param {string} variantSku - Variant SKU (optional)
+   * @returns {boolean} True if saved
+   */
+  has(productId, variantSku = null) {
+    const entryId = this.getEntryId(productId, variantSku);
+    return this.getItems().some(item => item.lineId === entryId);
+  },
+
+  /**
+   * Save a product (or variant) to the wishlist
+   * @param {Object} product - Product object
+   * @param {string} variantSku - Variant SKU (optional)
+   * @param {number} savedPrice - Price to compare against later (defaults to the current price)
+   * @returns {Array} Updated wishlist
    */
-  updateQuantity(productId, quantity) {
+  add(product, variantSku = null, savedPrice = null) {
     const items = this.getItems();
-    const index = items.findIndex(item => item.id === productId);
+    const variant = variantSku ? getVariant(product, variantSku) : null;
+    const purchasable = applyVariant(product, variant);
+    const lineId = this.getEntryId(product.id, variant ? variant.sku : null);
 
-    if (index > -1) {
-      if (quantity <= 0) {
-        items.splice(index, 1);
-      } else {
-        items[index].quantity = quantity;
-      }
-      this.saveItems(items);
-    }
+    if (items.some(item => item.lineId === lineId)) return items;
+
+    items.unshift({
+      lineId,
+      id: product.id,
+      sku: variant ? variant.sku : null,
+      options: variant ? variant.options : null,
+      name: product.name,
+      image: purchasable.image,
+      collection: product.collection,
+      collectionSlug: product.collectionSlug,
+      savedPrice: savedPrice !== null ? savedPrice : getEffectivePrice(purchasable),
+      savedAt: new Date().toISOString()
+    });
 
+    this.saveItems(items);
     return items;
   },
 
   /**
-   * Remove item from cart
-   * @param {string} productId - Product ID
+   * Remove an entry from the wishlist
+   * @param {string} lineId - Entry ID
+   * @returns {Array} Updated wishlist
    */
-  removeItem(productId) {
-    const items = this.getItems().filter(item => item.id !== productId);
+  remove(lineId) {
+    const items = this.getItems().filter(item => item.lineId !== lineId);
     this.saveItems(items);
     return items;
   },
 
   /**
-   * Get cart totals
-   * @returns {Object} Subtotal, shipping, and total
+   * Save or unsave a product (or variant)
+   * @param {Object} product - Product object
+   * @param {string} variantSku - Variant SKU (optional)
+   * @returns {boolean} True if the product is now saved
    */
-  getTotals() {
-    const items = this.getItems();
-    const subtotal = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-    const shipping = subtotal > 0 ? (subtotal >= 75 ? 0 : 8.95) : 0;
-    const total = subtotal + shipping;
-
-    return {
-      subtotal,
-      shipping,
-      total,
-      itemCount: items.reduce((sum, item) => sum + item.quantity, 0)
-    };
+  toggle(product, variantSku = null) {
+    if (this.has(product.id, variantSku)) {
+      this.remove(this.getEntryId(product.id, variantSku));
+      return false;
+    }
+    this.add(product, variantSku);
+    return true;
   },
 
   /**
-   * Clear all items from cart
+   * Get an entry's current price from the catalog
+   * @param {Object} item - Wishlist entry
+   * @returns {number|null} Current price, or null when the product isn't loaded
    */
-  clear() {
-    localStorage.removeItem(this.STORAGE_KEY);
-    this.updateCartCount();
+  getCurrentPrice(item) {
+    const product = getProduct(item.id);
+    if (!product) return null;
+    const variant = item.sku ? getVariant(product, item.sku) : null;
+    if (item.sku && !variant) return null;
+    return getEffectivePrice(applyVariant(product, variant));
   },
 
   /**
-   * Save order details before clearing cart
+   * Check whether an entry has dropped in price since it was saved
+   * @param {Object} item - Wishlist entry
+   * @returns {Object|null} { was, now, amount } or null when the price hasn't dropped
    */
-  saveOrder() {
-    const items = this.getItems();
-    const totals = this.getTotals();
-    const orderNumber = 'HC' + Date.now().toString().slice(-8);
-
-    const order = {
-      orderNumber,
-      items,
-      totals,
-      date: new Date().toISOString()
-    };
-
-    try {
-      localStorage.setItem(this.ORDER_KEY, JSON.stringify(order));
-    } catch (e) {
-      console.error('Error saving order:', e);
-    }
-
-    return order;
+  getPriceDrop(item) {
+    const now = this.getCurrentPrice(item);
+    if (now === null || now >= item.savedPrice) return null;
+    return { was: item.savedPrice, now, amount: item.savedPrice - now };
   },
 
   /**
-   * Get last order details
+   * Move an entry into the cart
+   * The entry stays saved if nothing could be added. An entry for a product
+   * with variants that was saved without one needs a choice on the product page.
+   * @param {string} lineId - Entry ID
+   * @returns {Object} Cart.addItem() result, or { status: 'not_found' | 'no_variant' }
    */
-  getLastOrder() {
-    try {
-      const order = localStorage.getItem(this.ORDER_KEY);
-      return order ? JSON.parse(order) : null;
-    } catch (e) {
-      console.error('Error reading order:', e);
-      return null;
-    }
+  moveToCart(lineId) {
+    const item = this.getItems().find(entry => entry.lineId === lineId);
+    const product = item ? getProduct(item.id) : null;
+    if (!product || (item.sku && !getVariant(product, item.sku))) return { status: 'not_found' };
+    if (hasVariants(product) && !item.sku) return { status: 'no_variant' };
+
+    const result = Cart.addItem(product, 1, item.sku);
+    if (result.added > 0) this.remove(lineId);
+    return result;
   },
 
   /**
-   * Update cart count in header
+   * Move a cart line to the wishlist
+   * The cart price is kept as the saved price so later drops are flagged.
+   * @param {string} cartLineId - Cart line ID
+   * @returns {boolean} True if the line was moved
    */
-  updateCartCount() {
-    const countElements = document.querySelectorAll('.cart-count');
-    const { itemCount } = this.getTotals();
+  saveForLater(cartLineId) {
+    const line = Cart.getItems().find(item => Cart.getLineId(item) === cartLineId);
+    const product = line ? getProduct(line.id) : null;
+    if (!line) return false;
 
-    countElements.forEach(el => {
-      el.textContent = itemCount > 0 ? itemCount : '';
-    });
+    if (product) {
+      this.add(product, line.sku, line.price);
+    } else {
+      // Catalog not loaded yet; keep what the cart line knows
+      const items = this.getItems().filter(item => item.lineId !== cartLineId);
+      items.unshift({
+        lineId: cartLineId,
+        id: line.id,
+        sku: line.sku || null,
+        options: line.options || null,
+        name: line.name,
+        image: line.image,
+        collection: line.collection,
+        collectionSlug: line.collectionSlug,
+        savedPrice: line.price,
+        savedAt: new Date().toISOString()
+      });
+      this.saveItems(items);
+    }
+
+    Cart.removeItem(cartLineId);
+    return true;
   },
 
   /**
-   * Format price for display
-   * @param {number} price - Price in dollars
-   * @returns {string} Formatted price string
+   * Update wishlist count in header
    */
-  formatPrice(price) {
-    return '$' + price.toFixed(2);
+  updateCount() {
+    const count = this.getItems().length;
+    document.querySelectorAll('.wishlist-count').forEach(el => {
+      el.textContent = count > 0 ? count : '';
+    });
   }
 };
 
-// Initialize cart count on page load
+// ========================================
+// Safe HTML
+// ========================================
+
+// Marks markup built by html``; a Symbol can't be forged by stored JSON
+const SAFE_HTML = Symbol('safeHTML');
+
+/**
+ * Escape a value for use in HTML text or a quoted attribute (see Catalog.escapeHTML)
+ * @param {*} value - Value to escape (null and undefined become '')
+ * @returns {string} Escaped string
+ */
+function escapeHTML(value) {
+  return Catalog.escapeHTML(value);
+}
+
+/**
+ * Build HTML from a template literal, escaping every interpolated value
+ * Markup from another html`` call (or an array of them) is inserted as-is,
+ * so renderers can nest. Catalog, cart and order data can all come from
+ * localStorage, so renderers build markup with this rather than plain strings.
+ * @example html`<h3>${product.name}</h3>`
+ * @returns {Object} Safe markup; converts to a string for innerHTML
+ */
+function html(strings, ...values) {
+  const markup = strings.reduce((out, string, i) => out + toHTML(values[i - 1]) + string);
+  return { [SAFE_HTML]: true, toString: () => markup };
+}
+
+/**
+ * Turn an interpolated value into markup
+ * @param {*} value - Safe markup, an array of values, or anything else to escape
+ * @returns {string} Markup
+ */
+function toHTML(value) {
+  if (Array.isArray(value)) return value.map(toHTML).join('');
+  if (value && value[SAFE_HTML]) return String(value);
+  if (value === false) return '';
+  return escapeHTML(value);
+}
+
+/**
+ * Run a handler when an element marked with data-action is used
+ * Rendered markup names its action in data-action, with any arguments in
+ * other data- attributes, instead of carrying inline handler code.
+ * @param {Element|Document} root - Element to listen on
+ * @param {string} type - Event type, e.g. 'click' or 'change'
+ * @param {Object} handlers - Action name -> function(element, event)
+ */
+function onAction(root, type, handlers) {
+  if (!root) return;
+  root.addEventListener(type, event => {
+    const element = event.target.closest && event.target.closest('[data-action]');
+    if (!element || !root.contains(element)) return;
+
+    const handler = handlers[element.dataset.action];
+    if (handler) handler(element, event);
+  });
+}
+
+/**
+ * Toggle a product card's wishlist heart
+ * @param {HTMLElement} button - Heart button with data-product-id, and data-sku for a product with variants
+ */
+function toggleWishlistButton(button) {
+  const product = getProduct(button.dataset.productId);
+  if (!product) return;
+
+  const saved = Wishlist.toggle(product, button.dataset.sku || null);
+  button.classList.toggle('is-saved', saved);
+  button.setAttribute('aria-pressed', saved ? 'true' : 'false');
+}
+
+/**
+ * Add a bundle card's set to the cart and say how it went
+ * @param {HTMLElement} button - The card's add button, with data-bundle-id
+ */
+function addBundleToCart(button) {
+  const bundle = getBundle(button.dataset.bundleId);
+  if (!bundle) return;
+
+  const result = Cart.addBundle(bundle, 1);
+  const messages = {
+    added: 'Added to your cart.',
+    clamped: 'Added to your cart.',
+    limit_reached: 'Your cart already holds the most sets we can send in one order.',
+    sold_out: 'This set is sold out right now.'
+  };
+  const status = button.parentElement.querySelector('.bundle-card-status');
+  if (status) status.textContent = messages[result.status];
+}
+
+// Product and bundle cards can appear on any page
+onAction(document, 'click', {
+  'toggle-wishlist': toggleWishlistButton,
+  'add-bundle': addBundleToCart
+});
+
+// Keep the header counts current, including for changes made in other tabs
+Cart.subscribe(() => Cart.updateCartCount());
+
+window.addEventListener('storage', event => {
+  // A null key means another tab cleared all of localStorage
+  if (event.key === null || event.key === Cart.STORAGE_KEY || event.key === Cart.PROMO_KEY) {
+    Cart.notify('remote');
+  }
+  if (event.key === null || event.key === Wishlist.STORAGE_KEY) {
+    Wishlist.updateCount();
+  }
+});
+
+// Initialize cart and wishlist counts on page load
 document.addEventListener('DOMContentLoaded', () => {
   Cart.updateCartCount();
+  Wishlist.updateCount();
 });
 
+// Cache the site for offline use; sw.js sits at the site root, next to js/
+if ('serviceWorker' in navigator && document.currentScript) {
+  const serviceWorkerURL = new URL('../sw.js', document.currentScript.src);
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(serviceWorkerURL).catch(e => {
+      console.error('Error registering service worker:', e);
+    });
+  });
+}
+
 // ========================================
 // Product and Collection Data
 // ========================================
 
-const Products = {
-  'heritage-block-set': {
-    id: 'heritage-block-set',
-    name: 'The Heritage Block Set',
-    price: 68,
-    salePrice: null,
-    collection: 'Heirloom Wooden',
-    collectionSlug: 'heirloom-wooden',
-    image: 'images/heritage-block-set.jpg',
-    shortDescription: 'Hand-sanded maple blocks in timeless shapes, crafted to be passed down through generations.',
-    longDescription: 'Each block in this 24-piece set is cut from sustainably harvested maple and finished with natural beeswax. The simple geometric forms—squares, rectangles, arches, and columns—invite open-ended play and quiet concentration. These are the blocks that build not just towers, but memories.',
-    featured: true
-  },
-  'woodland-animal-family': {
-    id: 'woodland-animal-family',
-    name: 'Woodland Animal Family',
-    price: 45,
-    salePrice: 36,
-    collection: 'Heirloom Wooden',
-    collectionSlug: 'heirloom-wooden',
-    image: 'images/woodland-animal-family.jpg',
-    shortDescription: 'A gentle gathering of forest friends carved from solid beechwood.',
-    longDescription: 'Five woodland creatures—fox, bear, rabbit, owl, and deer—each shaped by hand and smoothed to perfection. Their simple forms encourage imaginative storytelling while their sturdy construction ensures they\'ll witness countless adventures. Natural wood grain makes each set unique.',
-    featured: false
-  },
-  'classic-stacking-rainbow': {
-    id: 'classic-stacking-rainbow',
-    name: 'Classic Stacking Rainbow',
-    price: 52,
-    salePrice: null,
-    collection: 'Heirloom Wooden',
-    collectionSlug: 'heirloom-wooden',
-    image: 'images/classic-stacking-rainbow.jpg',
-    shortDescription: 'Six nesting arches in soft, natural-dyed hues for endless creative play.',
-    longDescription: 'This timeless rainbow stacker uses vegetable-based dyes in muted earth tones—dusty rose, sage, ochre, sky, clay, and cream. The graduated arches nest perfectly and inspire everything from bridges to tunnels to abstract sculptures. A quiet invitation to explore balance and beauty.',
-    featured: true
-  },
-  'timeless-train-set': {
-    id: 'timeless-train-set',
-    name: 'Timeless Train Set',
-    price: 85,
-    salePrice: 68,
-    collection: 'Heirloom Wooden',
-    collectionSlug: 'heirloom-wooden',
-    image: 'images/timeless-train-set.jpg',
-    shortDescription: 'A complete wooden railway with engine, cars, and curved track pieces.',
-    longDescription: 'The gentle click of wooden wheels on wooden track—a sound that spans generations. This 30-piece set includes a steam engine, three cars, track pieces, trees, and a small station. Magnetic couplings allow easy connecting while the smooth beechwood finish invites small hands to explore.',
-    featured: false
-  },
-  'handcrafted-memory-puzzle': {
-    id: 'handcrafted-memory-puzzle',
-    name: 'Handcrafted Memory Puzzle',
-    price: 38,
-    salePrice: null,
-    collection: 'Heirloom Wooden',
-    collectionSlug: 'heirloom-wooden',
-    image: 'images/handcrafted-memory-puzzle.jpg',
-    shortDescription: 'Twelve matching pairs of nature-inspired illustrations on solid wood tiles.',
-    longDescription: 'Turn over a leaf, find its match. These 24 thick wooden tiles feature delicate illustrations of garden treasures—butterflies, acorns, feathers, and flowers. The satisfying weight and smooth edges make this memory game a tactile pleasure as much as a mental one.',
-    featured: false
-  },
-  'architects-dream-set': {
-    id: 'architects-dream-set',
-    name: "Architect's Dream Set",
-    price: 72,
-    salePrice: null,
-    collection: 'Imagination Builders',
-    collectionSlug: 'imagination-builders',
-    image: 'images/architects-dream-set.jpg',
-    shortDescription: 'Precision-cut building planks for aspiring architects and dreamers.',
-    longDescription: 'One hundred smooth planks in three sizes, each cut with exacting precision from sustainable basswood. No connectors, no instructions—just pure possibility. Watch as simple stacking evolves into towers, bridges, and fantastical structures limited only by imagination and patience.',
-    featured: false
-  },
-  'natural-building-planks': {
-    id: 'natural-building-planks',
-    name: 'Natural Building Planks',
-    price: 58,
-    salePrice: null,
-    collection: 'Imagination Builders',
-    collectionSlug: 'imagination-builders',
-    image: 'images/natural-building-planks.jpg',
-    shortDescription: 'Fifty carefully milled planks for freeform construction and creative exploration.',
-    longDescription: 'These planks celebrate the beauty of unfinished wood—each piece showing its own unique grain pattern. The consistent dimensions allow for stable building while the natural variations teach children that beauty lives in imperfection. Stack, balance, create, and begin again.',
-    featured: false
-  },
-  'create-connect-blocks': {
-    id: 'create-connect-blocks',
-    name: 'Create & Connect Blocks',
-    price: 48,
-    salePrice: null,
-    collection: 'Imagination Builders',
-    collectionSlug: 'imagination-builders',
-    image: 'images/create-connect-blocks.jpg',
-    shortDescription: 'Interlocking wooden blocks with gentle notches for secure building.',
-    longDescription: 'The subtle notches on each block create satisfying connections without frustration. Thirty-six pieces in natural maple, each designed to fit together in countless configurations. The result: structures that stand proud and builders who beam with accomplishment.',
-    featured: false
-  },
-  'little-engineer-kit': {
-    id: 'little-engineer-kit',
-    name: 'Little Engineer Kit',
-    price: 65,
-    salePrice: 52,
-    collection: 'Imagination Builders',
-    collectionSlug: 'imagination-builders',
-    image: 'images/little-engineer-kit.jpg',
-    shortDescription: 'Wheels, axles, and building pieces for creating vehicles that really roll.',
-    longDescription: 'Engineering meets artistry in this thoughtfully designed kit. Wooden wheels, axles, chassis pieces, and decorative elements combine to create cars, trucks, and vehicles yet to be invented. The wooden screwdriver and nuts teach cause and effect while building fine motor skills.',
-    featured: false
-  },
-  'magnetic-wonder-tiles': {
-    id: 'magnetic-wonder-tiles',
-    name: 'Magnetic Wonder Tiles',
-    price: 78,
-    salePrice: null,
-    collection: 'Imagination Builders',
-    collectionSlug: 'imagination-builders',
-    image: 'images/magnetic-wonder-tiles.jpg',
-    shortDescription: 'Geometric wooden tiles with embedded magnets for three-dimensional creation.',
-    longDescription: 'Hidden magnets transform flat tiles into soaring structures. This set of forty pieces includes squares, triangles, and special shapes, each crafted from sustainable birch with soft, muted colors. The magnetic click provides instant feedback, while the geometric forms introduce spatial reasoning through play.',
-    featured: false
-  },
-  'oliver-gentle-bear': {
-    id: 'oliver-gentle-bear',
-    name: 'Oliver the Gentle Bear',
-    price: 42,
-    salePrice: null,
-    collection: 'Storybook Friends',
-    collectionSlug: 'storybook-friends',
-    image: 'images/oliver-gentle-bear.jpg',
-    shortDescription: 'A soft, huggable companion made from organic cotton and filled with natural wool.',
-    longDescription: 'Oliver arrived one autumn morning, ready to be a faithful friend. His organic cotton exterior is dyed with plant-based colors, while his wool stuffing comes from small family farms. At 14 inches tall, he\'s the perfect size for carrying on adventures and providing comfort at rest.',
-    featured: true
-  },
-  'luna-comfort-bunny': {
-    id: 'luna-comfort-bunny',
-    name: 'Luna the Comfort Bunny',
-    price: 38,
-    salePrice: 30,
-    collection: 'Storybook Friends',
-    collectionSlug: 'storybook-friends',
-    image: 'images/luna-comfort-bunny.jpg',
-    shortDescription: 'A gentle rabbit friend with the softest organic cotton and floppy ears made for holding.',
-    longDescription: 'Luna understands the importance of quiet moments. Her long, floppy ears are perfectly designed for small hands to hold during naps or car rides. Made entirely from GOTS-certified organic cotton with a lavender sachet hidden in her heart, she brings peace wherever she goes.',
-    featured: false
-  },
-  'sebastian-wise-owl': {
-    id: 'sebastian-wise-owl',
-    name: 'Sebastian the Wise Owl',
-    price: 40,
-    salePrice: null,
-    collection: 'Storybook Friends',
-    collectionSlug: 'storybook-friends',
-    image: 'images/sebastian-wise-owl.jpg',
-    shortDescription: 'A thoughtful owl companion who watches over bedtime with calm, knowing eyes.',
-    longDescription: 'Sebastian keeps watch through the night with his embroidered eyes that never close. This 12-inch guardian is crafted from organic linen and cotton, with wings that wrap around for hugging. His presence reminds little ones that wisdom comes to those who rest well.',
-    featured: false
-  },
-  'rosie-kind-fox': {
-    id: 'rosie-kind-fox',
-    name: 'Rosie the Kind Fox',
-    price: 42,
-    salePrice: null,
-    collection: 'Storybook Friends',
-    collectionSlug: 'storybook-friends',
-    image: 'images/rosie-kind-fox.jpg',
-    shortDescription: 'A warm-hearted fox with a gentle smile, ready for tea parties and forest adventures.',
-    longDescription: 'Rosie brings warmth wherever she wanders. Her russet organic cotton coat and cream-colored belly are soft against small cheeks, while her friendly expression invites endless conversation. She comes with a tiny removable scarf for seasonal dress-up.',
-    featured: false
-  },
-  'theodore-brave-lion': {
-    id: 'theodore-brave-lion',
-    name: 'Theodore the Brave Lion',
-    price: 45,
-    salePrice: null,
-    collection: 'Storybook Friends',
-    collectionSlug: 'storybook-friends',
-    image: 'images/theodore-brave-lion.jpg',
-    shortDescription: 'A courageous lion friend whose soft mane and steady heart inspire confidence.',
-    longDescription: 'Theodore may be king of the savanna, but his heart is gentle. His organic cotton mane frames a face full of quiet courage, reminding little ones that bravery isn\'t about roaring—it\'s about facing each day with kindness. At 15 inches, he\'s substantial enough to lean on.',
-    featured: false
-  },
-  'nature-discovery-kit': {
-    id: 'nature-discovery-kit',
-    name: 'Nature Discovery Kit',
-    price: 55,
-    salePrice: null,
-    collection: 'Wonder & Learn',
-    collectionSlug: 'wonder-learn',
-    image: 'images/nature-discovery-kit.jpg',
-    shortDescription: 'A wooden collection box with magnifying glass, specimen jars, and nature guide.',
-    longDescription: 'Every walk becomes an expedition with this thoughtfully assembled kit. The solid wood collection box holds a real glass magnifying lens, three specimen jars with wooden lids, collection bags, and an illustrated field guide. Encourage the wonder that comes from paying attention to small things.',
-    featured: true
-  },
-  'first-words-letters': {
-    id: 'first-words-letters',
-    name: 'First Words & Letters',
-    price: 42,
-    salePrice: null,
-    collection: 'Wonder & Learn',
-    collectionSlug: 'wonder-learn',
-    image: 'images/first-words-letters.jpg',
-    shortDescription: 'Tactile wooden letter tiles with simple word-building cards and canvas bag.',
-    longDescription: 'Language comes alive through touch. These 52 letter tiles—two complete alphabets—are cut from smooth maple with gently rounded edges. The accompanying word cards feature simple illustrations and large letters, while the canvas storage bag makes learning portable and tidy.',
-    featured: false
-  },
-  'counting-garden-set': {
-    id: 'counting-garden-set',
-    name: 'Counting Garden Set',
-    price: 48,
-    salePrice: 38,
-    collection: 'Wonder & Learn',
-    collectionSlug: 'wonder-learn',
-    image: 'images/counting-garden-set.jpg',
-    shortDescription: 'Numbered flower pots and wooden vegetables for hands-on counting practice.',
-    longDescription: 'Plant one carrot, plant two. This garden-themed counting set includes ten numbered wooden pots and 55 vegetables in five varieties. Children match quantities to numbers while developing fine motor skills through the planting motion. Mathematics blooms naturally through purposeful play.',
-    featured: false
-  },
-  'little-explorers-map': {
-    id: 'little-explorers-map',
-    name: "Little Explorer's Map",
-    price: 35,
-    salePrice: null,
-    collection: 'Wonder & Learn',
-    collectionSlug: 'wonder-learn',
-    image: 'images/little-explorers-map.jpg',
-    shortDescription: 'A fabric world map with wooden landmark pieces and simple geography cards.',
-    longDescription: 'The world unfolds on this soft, quilted map. Twenty wooden landmark pieces—from the Eiffel Tower to Mount Fuji—find their homes across continents, while illustrated cards share simple facts about each place. Roll it up and take your travels anywhere.',
-    featured: false
-  },
-  'seasons-learning-board': {
-    id: 'seasons-learning-board',
-    name: 'Seasons Learning Board',
-    price: 52,
-    salePrice: null,
-    collection: 'Wonder & Learn',
-    collectionSlug: 'wonder-learn',
-    image: 'images/seasons-learning-board.jpg',
-    shortDescription: 'An interactive wooden board teaching seasons, weather, and daily rhythms.',
-    longDescription: 'Each morning brings a moment of connection with this beautiful learning board. Moveable wooden pieces track the season, weather, day of week, and daily rhythm. Hand-painted illustrations celebrate the changing year while establishing comforting routines. Hooks and pegs keep everything in place.',
-    featured: false
-  }
-};
+const DEFAULT_MAX_PER_ORDER = 10;
 
-const Collections = {
-  'heirloom-wooden': {
-    id: 'heirloom-wooden',
-    name: 'Heirloom Wooden',
-    description: 'Timeless wooden toys crafted to be treasured and passed down through generations. Each piece celebrates the beauty of natural materials and the joy of simple, open-ended play.',
-    image: 'images/collection-heirloom-wooden.jpg',
-    shortDescription: 'Timeless toys crafted to be treasured for generations',
-    products: ['heritage-block-set', 'woodland-animal-family', 'classic-stacking-rainbow', 'timeless-train-set', 'handcrafted-memory-puzzle']
-  },
-  'imagination-builders': {
-    id: 'imagination-builders',
-    name: 'Imagination Builders',
-    description: 'Construction sets that transform simple pieces into extraordinary creations. Perfect for budding architects, engineers, and dreamers who see possibility in every plank and block.',
-    image: 'images/collection-imagination-builders.jpg',
-    shortDescription: 'Construction sets for aspiring architects and dreamers',
-    products: ['architects-dream-set', 'natural-building-planks', 'create-connect-blocks', 'little-engineer-kit', 'magnetic-wonder-tiles']
-  },
-  'storybook-friends': {
-    id: 'storybook-friends',
-    name: 'Storybook Friends',
-    description: 'Soft companions crafted from organic materials, ready for a lifetime of love. Each friend is designed to comfort, inspire stories, and become a treasured companion through all of childhood\'s adventures.',
-    image: 'images/collection-storybook-friends.jpg',
-    shortDescription: 'Soft companions ready for a lifetime of love',
-    products: ['oliver-gentle-bear', 'luna-comfort-bunny', 'sebastian-wise-owl', 'rosie-kind-fox', 'theodore-brave-lion']
-  },
-  'wonder-learn': {
-    id: 'wonder-learn',
-    name: 'Wonder & Learn',
-    description: 'Thoughtful tools that nurture curiosity and celebrate the joy of discovery. Learning happens naturally here—through exploration, hands-on experience, and the simple pleasure of figuring things out.',
-    image: 'images/collection-wonder-learn.jpg',
-    shortDescription: 'Thoughtful tools that nurture curiosity and discovery',
-    products: ['nature-discovery-kit', 'first-words-letters', 'counting-garden-set', 'little-explorers-map', 'seasons-learning-board']
-  }
-};
+// Populated from data/products.json by loadProductData()
+const Products = {};
+const Collections = {};
+const Bundles = {};
 
 // ========================================
 // Product Helper Functions
@@ -516,6 +1547,83 @@ function getAllCollections() {
   return Object.values(Collections);
 }
 
+/**
+ * Get bundle by ID
+ * @param {string} id - Bundle ID
+ * @returns {Object|null} Bundle object or null
+ */
+function getBundle(id) {
+  return Bundles[id] || null;
+}
+
+/**
+ * Get all bundles
+ * @returns {Array} Array of all bundle objects
+ */
+function getAllBundles() {
+  return Object.values(Bundles);
+}
+
+/**
+ * Get the bundles shown with a collection
+ * @param {string} collectionId - Collection ID
+ * @returns {Array} Array of bundle objects
+ */
+function getCollectionBundles(collectionId) {
+  return getAllBundles().filter(bundle => bundle.collectionSlug === collectionId);
+}
+
+/**
+ * Get the products in a bundle, as the bundle sells them
+ * Components with variants use the variant the bundle names, or their first.
+ * @param {Object} bundle - Bundle object
+ * @returns {Array|null} [{ product, variant, purchasable }], or null when a component is missing
+ */
+function getBundleComponents(bundle) {
+  const components = bundle.products.map(id => {
+    const product = getProduct(id);
+    if (!product) return null;
+
+    const sku = bundle.variants && bundle.variants[id];
+    const variant = hasVariants(product) ? getVariant(product, sku || product.variants[0].sku) : null;
+    if (hasVariants(product) && !variant) return null;
+    return { product, variant, purchasable: applyVariant(product, variant) };
+  });
+  return components.every(Boolean) ? components : null;
+}
+
+/**
+ * Price a bundle from its components' current prices
+ * A fixed bundle price never costs more than buying the components alone.
+ * @param {Object} bundle - Bundle object
+ * @returns {Object|null} { price, regularPrice, savings }, or null when a component is missing
+ */
+function getBundlePricing(bundle) {
+  const components = getBundleComponents(bundle);
+  if (!components) return null;
+
+  const regularPrice = Math.round(components.reduce((sum, c) => sum + getEffectivePrice(c.purchasable), 0) * 100) / 100;
+  const price = bundle.price !== undefined
+    ? Math.min(bundle.price, regularPrice)
+    : Math.round(regularPrice * (100 - bundle.percentOff)) / 100;
+
+  return { price, regularPrice, savings: Math.round((regularPrice - price) * 100) / 100 };
+}
+
+/**
+ * Get the most sets of a bundle one order may contain
+ * @param {Object} bundle - Bundle object
+ * @returns {number} The lowest limit among the components, or 0 when one is missing
+ */
+function getBundleMaxOrderQuantity(bundle) {
+  const components = getBundleComponents(bundle);
+  if (!components) return 0;
+  return Math.min(...components.map(c => getMaxOrderQuantity(c.product, c.variant)));
+}
+
+// Pricing and stock rules live in js/catalog.js, so the static page generator
+// uses the same ones
+
 /**
  * Calculate percentage off for sale items
  * @param {number} originalPrice - Original price
@@ -523,8 +1631,7 @@ function getAllCollections() {
  * @returns {number} Percentage off (rounded)
  */
 function calculatePercentOff(originalPrice, salePrice) {
-  if (!salePrice || salePrice >= originalPrice) return 0;
-  return Math.round(((originalPrice - salePrice) / originalPrice) * 100);
+  return Catalog.calculatePercentOff(originalPrice, salePrice);
 }
 
 /**
@@ -533,7 +1640,7 @@ function calculatePercentOff(originalPrice, salePrice) {
  * @returns {boolean} True if product is on sale
  */
 function isOnSale(product) {
-  return product.salePrice && product.salePrice < product.price;
+  return Catalog.isOnSale(product);
 }
 
 /**
@@ -542,55 +1649,257 @@ function isOnSale(product) {
  * @returns {number} Effective price
  */
 function getEffectivePrice(product) {
-  return isOnSale(product) ? product.salePrice : product.price;
+  return Catalog.getEffectivePrice(product);
+}
+
+/**
+ * Check whether a product is sold in variants
+ * @param {Object} product - Product object
+ * @returns {boolean} True if the product has variants
+ */
+function hasVariants(product) {
+  return Catalog.hasVariants(product);
+}
+
+/**
+ * Get a product variant by SKU
+ * @param {Object} product - Product object
+ * @param {string} sku - Variant SKU
+ * @returns {Object|null} Variant or null
+ */
+function getVariant(product, sku) {
+  if (!hasVariants(product)) return null;
+  return product.variants.find(v => v.sku === sku) || null;
+}
+
+/**
+ * Get the product as sold in a given variant
+ * Variant price, salePrice and image replace the product's own when set,
+ * so the result works with isOnSale() and renderPriceHTML().
+ * @param {Object} product - Product object
+ * @param {Object|null} variant - Variant, or null for the product itself
+ * @returns {Object} Product object with the variant applied
+ */
+function applyVariant(product, variant) {
+  return Catalog.applyVariant(product, variant);
+}
+
+/**
+ * Format variant option values for display
+ * @param {Object|null} options - Option values, e.g. { size: 'Large' }
+ * @returns {string} Text such as "Size: Large", or '' when there are none
+ */
+function formatVariantOptions(options) {
+  if (!options) return '';
+  return Object.keys(options)
+    .map(name => `${name.charAt(0).toUpperCase()}${name.slice(1)}: ${options[name]}`)
+    .join(', ');
+}
+
+/**
+ * Get how many units are in stock
+ * A variant's own stock takes precedence over the product's. Products
+ * without a stock figure are not tracked and never run out.
+ * @param {Object} product - Product object
+ * @param {Object|null} variant - Variant, or null for the product itself
+ * @returns {number} Units in stock (Infinity when untracked)
+ */
+function getStock(product, variant = null) {
+  return Catalog.getStock(product, variant);
+}
+
+/**
+ * Get the most units of a product one order may contain
+ * @param {Object} product - Product object
+ * @param {Object|null} variant - Variant, or null for the product itself
+ * @returns {number} Maximum order quantity
+ */
+function getMaxOrderQuantity(product, variant = null) {
+  return Math.min(getStock(product, variant), product.maxPerOrder || DEFAULT_MAX_PER_ORDER);
+}
+
+/**
+ * Get the stock status of a product
+ * @param {Object} product - Product object
+ * @param {Object|null} variant - Variant, or null for the product itself
+ * @returns {string} 'sold_out', 'low_stock' or 'in_stock'
+ */
+function getStockStatus(product, variant = null) {
+  return Catalog.getStockStatus(product, variant);
+}
+
+/**
+ * Render stock status HTML for a product
+ * @param {Object} product - Product object
+ * @param {Object|null} variant - Variant, or null for the product itself
+ * @returns {Object|string} Safe markup, or '' when the product is well stocked
+ */
+function renderStockHTML(product, variant = null) {
+  const status = getStockStatus(product, variant);
+  if (status === 'sold_out') {
+    return html`<span class="stock-badge stock-badge--sold-out">Sold out</span>`;
+  }
+  if (status === 'low_stock') {
+    return html`<span class="stock-badge stock-badge--low">Only ${getStock(product, variant)} left</span>`;
+  }
+  return '';
 }
 
 /**
  * Render price HTML for a product
  * @param {Object} product - Product object
  * @param {boolean} showSaleLabel - Whether to show "Sale" label
- * @returns {string} HTML string for price display
+ * @returns {Object} Safe markup for price display
  */
 function renderPriceHTML(product, showSaleLabel = true) {
   if (isOnSale(product)) {
     const percentOff = calculatePercentOff(product.price, product.salePrice);
-    return `
+    return html`
       <span class="price-wrapper price-on-sale">
-        ${showSaleLabel ? '<span class="sale-badge">Sale</span>' : ''}
-        <span class="price-original">$${product.price}</span>
-        <span class="price-sale">$${product.salePrice}</span>
+        ${showSaleLabel && html`<span class="sale-badge">Sale</span>`}
+        <span class="price-original">${Cart.formatPrice(product.price)}</span>
+        <span class="price-sale">${Cart.formatPrice(product.salePrice)}</span>
         <span class="price-percent-off">${percentOff}% off</span>
       </span>
     `;
   }
-  return `<span class="price-wrapper">$${product.price}</span>`;
+  return html`<span class="price-wrapper">${Cart.formatPrice(product.price)}</span>`;
 }
 
 /**
  * Render a product card HTML
  * @param {Object} product - Product object
  * @param {string} basePath - Base path for links and images
- * @returns {string} HTML string for product card
+ * @returns {Object} Safe markup for product card
  */
 function renderProductCard(product, basePath = '') {
   const priceHTML = isOnSale(product)
-    ? `<p class="product-card-price price-on-sale">
-        <span class="price-original">$${product.price}</span>
-        <span class="price-sale">$${product.salePrice}</span>
+    ? html`<p class="product-card-price price-on-sale">
+        <span class="price-original">${Cart.formatPrice(product.price)}</span>
+        <span class="price-sale">${Cart.formatPrice(product.salePrice)}</span>
         <span class="sale-badge">Sale</span>
        </p>`
-    : `<p class="product-card-price">$${product.price}</p>`;
+    : html`<p class="product-card-price">${Cart.formatPrice(product.price)}</p>`;
+  const stockHTML = renderStockHTML(product);
+  const classes = ['product-card'];
+  if (isOnSale(product)) classes.push('product-on-sale');
+  if (getStockStatus(product) === 'sold_out') classes.push('product-sold-out');
+
+  // The heart saves the variant the product page opens on, so the entry can go straight to the cart
+  const sku = hasVariants(product) ? product.variants[0].sku : null;
+  const saved = Wishlist.has(product.id, sku);
+
+  return html`
+    <div class="product-card-wrap">
+      <a href="${basePath}products/${product.id}.html" class="${classes.join(' ')}">
+        <div class="product-card-image">
+          <img src="${basePath}${product.image}" alt="${product.name}">
+        </div>
+        <div class="product-card-info">
+          <h3 class="product-card-name">${product.name}</h3>
+          ${priceHTML}
+          ${stockHTML && html`<p class="product-card-stock">${stockHTML}</p>`}
+        </div>
+      </a>
+      <button type="button" class="wishlist-toggle${saved ? ' is-saved' : ''}" data-action="toggle-wishlist" data-product-id="${product.id}" data-sku="${sku}"
+              aria-pressed="${saved}" aria-label="Save ${product.name} to wishlist"></button>
+    </div>
+  `;
+}
+
+/**
+ * Render a bundle card HTML, to sit in a grid alongside renderProductCard()
+ * Bundles have no page of their own, so the card lists the components and
+ * adds the set to the cart directly.
+ * @param {Object} bundle - Bundle object
+ * @param {string} basePath - Base path for links and images
+ * @returns {Object|string} Safe markup for bundle card, or '' when a component is missing
+ */
+function renderBundleCard(bundle, basePath = '') {
+  const components = getBundleComponents(bundle);
+  const pricing = getBundlePricing(bundle);
+  if (!components || !pricing) return '';
+
+  const soldOut = getBundleMaxOrderQuantity(bundle) === 0;
 
-  return `
-    <a href="${basePath}products/${product.id}.html" class="product-card${isOnSale(product) ? ' product-on-sale' : ''}">
-      <div class="product-card-image">
-        <img src="${basePath}${product.image}" alt="${product.name}">
+  return html`
+    <div class="product-card-wrap bundle-card-wrap">
+      <div class="product-card bundle-card${soldOut ? ' product-sold-out' : ''}">
+        <div class="product-card-image">
+          <img src="${basePath}${bundle.image}" alt="${bundle.name}">
+          <span class="bundle-badge">Set of ${components.length}</span>
+        </div>
+        <div class="product-card-info">
+          <h3 class="product-card-name">${bundle.name}</h3>
+          <p class="product-card-price price-on-sale">
+            <span class="price-original">${Cart.formatPrice(pricing.regularPrice)}</span>
+            <span class="price-sale">${Cart.formatPrice(pricing.price)}</span>
+            <span class="sale-badge">Save ${Cart.formatPrice(pricing.savings)}</span>
+          </p>
+          <ul class="bundle-card-components">
+            ${components.map(({ product, variant }) => html`
+              <li><a href="${basePath}products/${product.id}.html">${product.name}</a>${variant && html` <span>(${formatVariantOptions(variant.options)})</span>`}</li>
+            `)}
+          </ul>
+          <button type="button" class="btn btn--primary btn--full" data-action="add-bundle" data-bundle-id="${bundle.id}"
+                  ${soldOut && html`disabled`}>${soldOut ? 'Sold Out' : 'Add Set to Cart'}</button>
+          <p class="bundle-card-status" role="status"></p>
+        </div>
       </div>
-      <div class="product-card-info">
-        <h3 class="product-card-name">${product.name}</h3>
-        ${priceHTML}
+    </div>
+  `;
+}
+
+/**
+ * Render what a bundle cart line or order line contains
+ * @param {Object} item - Cart or order item
+ * @returns {Object|string} Safe markup, or '' for lines that aren't bundles
+ */
+function renderBundleComponentsHTML(item) {
+  if (item.type !== 'bundle' || !Array.isArray(item.components)) return '';
+
+  return html`
+    <details class="bundle-components">
+      <summary>Includes ${item.components.length} items</summary>
+      <ul>
+        ${item.components.map(c => html`<li>${c.name}${c.options && ` (${formatVariantOptions(c.options)})`}</li>`)}
+      </ul>
+    </details>
+  `;
+}
+
+/**
+ * Render a wishlist entry as a list row
+ * The page handles the "move-to-cart" and "remove-from-wishlist" actions,
+ * reading the entry from data-line-id.
+ * @param {Object} item - Wishlist entry
+ * @param {string} basePath - Base path for links and images
+ * @returns {Object} Safe markup
+ */
+function renderWishlistItem(item, basePath = '') {
+  const options = formatVariantOptions(item.options);
+  const currentPrice = Wishlist.getCurrentPrice(item);
+  const drop = Wishlist.getPriceDrop(item);
+  const product = getProduct(item.id);
+  const soldOut = product && getStockStatus(product, item.sku ? getVariant(product, item.sku) : null) === 'sold_out';
+
+  return html`
+    <div class="cart-item wishlist-item" data-id="${item.lineId}">
+      <a href="${basePath}products/${item.id}.html" class="cart-item-image">
+        <img src="${basePath}${item.image}" alt="${item.name}">
+      </a>
+      <div class="cart-item-info">
+        <h3 class="cart-item-name"><a href="${basePath}products/${item.id}.html">${item.name}</a></h3>
+        ${options && html`<p class="cart-item-options">${options}</p>`}
+        <p class="cart-item-price">${Cart.formatPrice(currentPrice !== null ? currentPrice : item.savedPrice)}</p>
+        ${drop && html`<p class="price-drop">Down ${Cart.formatPrice(drop.amount)} since you saved it (was ${Cart.formatPrice(drop.was)})</p>`}
+        <div class="wishlist-item-actions">
+          <button type="button" class="btn btn--primary" data-action="move-to-cart" data-line-id="${item.lineId}"
+                  ${soldOut && html`disabled`}>${soldOut ? 'Sold Out' : 'Move to Cart'}</button>
+          <button type="button" class="cart-item-remove" data-action="remove-from-wishlist" data-line-id="${item.lineId}">Remove</button>
+        </div>
       </div>
-    </a>
+    </div>
   `;
 }
 
@@ -605,14 +1914,128 @@ function renderCollectionProducts(collectionId, containerId, basePath = '') {
   if (!container) return;
 
   const products = getCollectionProducts(collectionId);
-  container.innerHTML = products.map(p => renderProductCard(p, basePath)).join('');
+  container.innerHTML = products.map(p => renderProductCard(p, basePath)).join('') +
+    getCollectionBundles(collectionId).map(b => renderBundleCard(b, basePath)).join('');
+}
+
+/**
+ * Update the document title and meta description
+ * A canonical path points search engines at the generated page for the same
+ * product or collection, so product.html?id= isn't indexed as a duplicate.
+ * @param {string} title - Page title, without the site name
+ * @param {string} description - Meta description
+ * @param {string} canonicalPath - Page path relative to this one, e.g. "products/oliver-gentle-bear.html"
+ */
+function setPageMeta(title, description, canonicalPath = null) {
+  document.title = `${title} | His Children`;
+
+  const meta = document.querySelector('meta[name="description"]');
+  if (meta && description) {
+    meta.setAttribute('content', description);
+  }
+
+  if (canonicalPath) {
+    let link = document.querySelector('link[rel="canonical"]');
+    if (!link) {
+      link = document.createElement('link');
+      link.rel = 'canonical';
+      document.head.appendChild(link);
+    }
+    link.href = new URL(canonicalPath, window.location.href).href;
+  }
+}
+
+const CATALOG_CACHE_KEY = 'hischildren_catalog';
+let catalogRequest = null;
+
+/**
+ * Replace the in-memory catalog with validated data
+ * @param {Object} data - Raw catalog data ({ products, collections })
+ * @returns {Object} The validated catalog
+ */
+function applyCatalog(data) {
+  const catalog = Catalog.validate(data);
+
+  catalog.errors.forEach(message => {
+    console.error('Catalog entry skipped:', message);
+  });
+
+  if (catalog.products.length === 0) {
+    throw new Error('Catalog contains no valid products');
+  }
+
+  Object.keys(Products).forEach(id => delete Products[id]);
+  Object.keys(Collections).forEach(id => delete Collections[id]);
+  Object.keys(Bundles).forEach(id => delete Bundles[id]);
+  catalog.products.forEach(p => { Products[p.id] = p; });
+  catalog.collections.forEach(c => { Collections[c.id] = c; });
+  catalog.bundles.forEach(b => { Bundles[b.id] = b; });
+
+  return catalog;
+}
+
+/**
+ * Read the last catalog that loaded successfully
+ * @returns {Object|null} Cached catalog data or null
+ */
+function getCachedCatalog() {
+  try {
+    const cached = localStorage.getItem(CATALOG_CACHE_KEY);
+    return cached ? JSON.parse(cached) : null;
+  } catch (e) {
+    console.error('Error reading cached catalog:', e);
+    return null;
+  }
 }
 
 /**
- * Load products - kept for compatibility but data is now inline
- * @param {string} basePath - Base path (ignored, kept for API compatibility)
- * @returns {Promise} Resolves immediately
+ * Load products and collections from data/products.json
+ * Falls back to the cached copy from the last successful load when the
+ * fetch fails or the file is unusable. Repeated calls share one request.
+ * @param {string} basePath - Base path to the site root
+ * @returns {Promise} Resolves once the catalog lookups are populated
  */
 function loadProductData(basePath = '') {
-  return Promise.resolve();
+  if (catalogRequest) return catalogRequest;
+
+  catalogRequest = fetch(`${basePath}data/products.json`)
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`Catalog request failed with status ${response.status}`);
+      }
+      return response.json();
+    })
+    .then(data => {
+      const catalog = applyCatalog(data);
+      try {
+        localStorage.setItem(CATALOG_CACHE_KEY, JSON.stringify({
+          products: catalog.products,
+          collections: catalog.collections,
+          bundles: catalog.bundles
+        }));
+      } catch (e) {
+        console.error('Error caching catalog:', e);
+      }
+    })
+    .catch(e => {
+      console.error('Error loading catalog:', e);
+
+      const cached = getCachedCatalog();
+      if (!cached) {
+        console.error('No cached catalog available');
+        return;
+      }
+
+      try {
+        applyCatalog(cached);
+      } catch (cacheError) {
+        console.error('Error loading cached catalog:', cacheError);
+      }
+    })
+    .then(() => {
+      // Reprice the cart and drop discontinued lines against whatever catalog loaded
+      Cart.reconcile();
+    });
+
+  return catalogRequest;
 }
@@ -0,0 +1,463 @@
+/**
+ * His Children - Catalog Admin
+ * Editing tool behind admin.html. Loads data/products.json, edits products
+ * and collections in a draft kept in localStorage, and exports a validated
+ * products.json with a diff against the file it started from. The site is
+ * static, so nothing is saved on the server: replace data/products.json with
+ * the export and run scripts/generate-pages.js.
+ * Uses js/catalog.js and the helpers in js/cart.js, so load them first.
+ */
+
+const CatalogAdmin = {
+  DRAFT_KEY: 'hischildren_admin_draft',
+  CATALOG_PATH: 'data/products.json',
+  DIFF_CONTEXT: 3,
+
+  source: '',
+  original: null,
+  draft: null,
+  selected: null,
+
+  /**
+   * Load data/products.json and any unsaved draft
+   * @returns {Promise} Resolves once the draft is ready
+   */
+  async load() {
+    const response = await fetch(this.CATALOG_PATH, { cache: 'no-store' });
+    if (!response.ok) {
+      throw new Error(`Catalog request failed with status ${response.status}`);
+    }
+    this.source = await response.text();
+    this.original = JSON.parse(this.source);
+
+    const { value } = Cart.readStorage(this.DRAFT_KEY);
+    this.draft = value && value.source === this.source ? value.catalog : JSON.parse(this.source);
+  },
+
+  /**
+   * Check whether the draft differs from the loaded file
+   * @returns {boolean} True when there are unsaved edits
+   */
+  hasChanges() {
+    return this.exportText() !== this.source;
+  },
+
+  /**
+   * Keep the draft so edits survive a reload
+   * The draft is tied to the file it was made from; once data/products.json
+   * changes, a stale draft is dropped rather than overwriting the new file.
+   */
+  saveDraft() {
+    try {
+      if (this.hasChanges()) {
+        localStorage.setItem(this.DRAFT_KEY, JSON.stringify({ source: this.source, catalog: this.draft }));
+      } else {
+        localStorage.removeItem(this.DRAFT_KEY);
+      }
+    } catch (e) {
+      console.error('Error saving catalog draft:', e);
+    }
+  },
+
+  /**
+   * Throw away every edit and start again from the loaded file
+   */
+  discardDraft() {
+    this.draft = JSON.parse(this.source);
+    this.selected = null;
+    this.saveDraft();
+  },
+
+  /**
+   * Get the entry being edited
+   * @returns {Object|null} Product or collection entry
+   */
+  getSelectedEntry() {
+    if (!this.selected) return null;
+    return this.draft[this.selected.list][this.selected.index] || null;
+  },
+
+  /**
+   * Check whether an entry is already in the loaded file
+   * Published IDs are fixed: pages, carts and saved orders refer to them.
+   * @param {string} list - "products" or "collections"
+   * @param {string} id - Entry ID
+   * @returns {boolean} True when the ID exists in data/products.json
+   */
+  isPublished(list, id) {
+    return this.original[list].some(entry => entry.id === id);
+  },
+
+  /**
+   * Add a blank product to the draft and select it
+   */
+  addProduct() {
+    const collection = this.draft.collections[0] || { id: '', name: '' };
+    this.draft.products.push({
+      id: '',
+      name: '',
+      price: 0,
+      salePrice: null,
+      collection: collection.name,
+      collectionSlug: collection.id,
+      image: 'images/',
+      shortDescription: '',
+      longDescription: '',
+      featured: false
+    });
+    this.selected = { list: 'products', index: this.draft.products.length - 1 };
+    this.saveDraft();
+  },
+
+  /**
+   * Add a blank collection to the draft and select it
+   */
+  addCollection() {
+    this.draft.collections.push({
+      id: '',
+      name: '',
+      description: '',
+      image: 'images/',
+      shortDescription: ''
+    });
+    this.selected = { list: 'collections', index: this.draft.collections.length - 1 };
+    this.saveDraft();
+  },
+
+  /**
+   * Copy the editor form into the selected entry
+   * Empty optional numbers are removed rather than saved as zero, and
+   * products keep their collection name in step with collectionSlug.
+   * @param {HTMLFormElement} form - Editor form
+   */
+  updateFromForm(form) {
+    const entry = this.getSelectedEntry();
+    if (!entry) return;
+
+    const fields = form.elements;
+    const text = name => fields[name].value.trim();
+    const number = name => (text(name) === '' ? null : Number(text(name)));
+
+    if (fields.id && !fields.id.readOnly) entry.id = text('id');
+    entry.name = text('name');
+    entry.image = text('image');
+    entry.shortDescription = text('shortDescription');
+
+    if (this.selected.list === 'collections') {
+      entry.description = text('description');
+      return;
+    }
+
+    entry.price = number('price');
+    entry.salePrice = number('salePrice');
+    entry.collectionSlug = text('collectionSlug');
+    const collection = this.draft.collections.find(c => c.id === entry.collectionSlug);
+    entry.collection = collection ? collection.name : '';
+    entry.longDescription = text('longDescription');
+    entry.featured = fields.featured.checked;
+
+    ['stock', 'maxPerOrder'].forEach(name => {
+      if (number(name) === null) {
+        delete entry[name];
+      } else {
+        entry[name] = number(name);
+      }
+    });
+  },
+
+  /**
+   * Check a product's sale prices against the storefront's isOnSale() rule
+   * A sale price that isn't below the regular price is valid data, but the
+   * storefront ignores it, which is never what an editor meant.
+   * @param {Object} product - Product entry
+   * @returns {Array} Problem descriptions (empty when the pricing is sound)
+   */
+  checkPricing(product) {
+    const problems = [];
+    const check = (priced, label) => {
+      if (priced.salePrice === null || priced.salePrice === undefined) return;
+      if (typeof priced.price !== 'number' || typeof priced.salePrice !== 'number') return;
+      if (!isOnSale(priced)) {
+        problems.push(`${label}salePrice ${priced.salePrice} must be above 0 and below price ${priced.price}, or empty`);
+      }
+    };
+
+    check(product, '');
+    (Array.isArray(product.variants) ? product.variants : []).forEach((variant, index) => {
+      if (variant && (variant.price !== undefined || variant.salePrice !== undefined)) {
+        check(applyVariant(product, variant), `variants[${index}]: `);
+      }
+    });
+    return problems;
+  },
+
+  /**
+   * Validate the whole draft as the storefront would load it
+   * @returns {Array} Error messages (empty when the draft can be exported)
+   */
+  validate() {
+    let catalog;
+    try {
+      catalog = Catalog.validate(this.draft);
+    } catch (e) {
+      return [e.message];
+    }
+
+    const errors = catalog.errors.slice();
+    this.draft.products.forEach((product, index) => {
+      this.checkPricing(product).forEach(p => errors.push(`${Catalog.describe('products', index, product)}: ${p}`));
+    });
+    return errors;
+  },
+
+  /**
+   * The draft as it would be written to data/products.json
+   * @returns {string} JSON text, formatted like the file
+   */
+  exportText() {
+    return JSON.stringify(this.draft, null, 2) + '\n';
+  },
+
+  /**
+   * Compare two texts line by line
+   * Lines shared at the start and end are matched first, so the usual small
+   * edit to a long file only runs the full comparison over a few lines.
+   * @param {string} before - Original text
+   * @param {string} after - New text
+   * @returns {Array} { type: ' ', '-' or '+', text } for every line of both texts
+   */
+  diffLines(before, after) {
+    const a = before.split('\n');
+    const b = after.split('\n');
+
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA--;
+      endB--;
+    }
+
+    // Longest common subsequence over the lines that differ
+    const rows = endA - start;
+    const cols = endB - start;
+    const lengths = Array.from({ length: rows + 1 }, () => new Array(cols + 1).fill(0));
+    for (let i = rows - 1; i >= 0; i--) {
+      for (let j = cols - 1; j >= 0; j--) {
+        lengths[i][j] = a[start + i] === b[start + j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const lines = a.slice(0, start).map(text => ({ type: ' ', text }));
+    let i = 0;
+    let j = 0;
+    while (i < rows || j < cols) {
+      if (i < rows && j < cols && a[start + i] === b[start + j]) {
+        lines.push({ type: ' ', text: a[start + i] });
+        i++;
+        j++;
+      } else if (i < rows && (j === cols || lengths[i + 1][j] >= lengths[i][j + 1])) {
+        lines.push({ type: '-', text: a[start + i] });
+        i++;
+      } else {
+        lines.push({ type: '+', text: b[start + j] });
+        j++;
+      }
+    }
+    return lines.concat(a.slice(endA).map(text => ({ type: ' ', text })));
+  },
+
+  /**
+   * Build a unified diff of the draft against the loaded file
+   * @returns {string} Diff text, '' when nothing changed
+   */
+  exportDiff() {
+    const lines = this.diffLines(this.source, this.exportText());
+    const changed = lines.map((line, index) => (line.type === ' ' ? -1 : index)).filter(index => index >= 0);
+    if (changed.length === 0) return '';
+
+    // Changes with no more than two context blocks between them share a hunk
+    const hunks = [];
+    changed.forEach(index => {
+      const last = hunks[hunks.length - 1];
+      if (last && index - last.end <= this.DIFF_CONTEXT * 2 + 1) {
+        last.end = index;
+      } else {
+        hunks.push({ start: index, end: index });
+      }
+    });
+
+    const out = [`--- a/${this.CATALOG_PATH}`, `+++ b/${this.CATALOG_PATH}`];
+    hunks.forEach(hunk => {
+      const from = Math.max(0, hunk.start - this.DIFF_CONTEXT);
+      const to = Math.min(lines.length, hunk.end + this.DIFF_CONTEXT + 1);
+      const before = lines.slice(0, from);
+      const body = lines.slice(from, to);
+      const oldStart = before.filter(l => l.type !== '+').length + 1;
+      const newStart = before.filter(l => l.type !== '-').length + 1;
+      const oldCount = body.filter(l => l.type !== '+').length;
+      const newCount = body.filter(l => l.type !== '-').length;
+
+      out.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+      body.forEach(line => out.push(line.type + line.text));
+    });
+    return out.join('\n') + '\n';
+  },
+
+  /**
+   * Offer text to the browser as a file download
+   * @param {string} filename - Suggested file name
+   * @param {string} text - File contents
+   * @param {string} type - MIME type
+   */
+  download(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  },
+
+  /**
+   * Render the product and collection lists
+   * @returns {Object} Safe markup
+   */
+  renderListsHTML() {
+    const item = (list, entry, index) => {
+      const isSelected = this.selected && this.selected.list === list && this.selected.index === index;
+      return html`
+        <li>
+          <button type="button" class="admin-list-item${isSelected ? ' is-selected' : ''}"
+                  data-action="select-entry" data-list="${list}" data-index="${index}">
+            ${entry.name || '(untitled)'}
+            ${entry.featured === true && html`<span class="admin-flag">Featured</span>`}
+            ${list === 'products' && Boolean(isOnSale(entry)) && html`<span class="admin-flag">Sale</span>`}
+            ${!this.isPublished(list, entry.id) && html`<span class="admin-flag">New</span>`}
+          </button>
+        </li>`;
+    };
+
+    return html`
+      <h3>Products</h3>
+      <ul class="admin-list">${this.draft.products.map((entry, index) => item('products', entry, index))}</ul>
+      <button type="button" class="btn btn--secondary" data-action="add-product">Add Product</button>
+      <h3>Collections</h3>
+      <ul class="admin-list">${this.draft.collections.map((entry, index) => item('collections', entry, index))}</ul>
+      <button type="button" class="btn btn--secondary" data-action="add-collection">Add Collection</button>
+    `;
+  },
+
+  /**
+   * Render the form for the selected entry
+   * @returns {Object|string} Safe markup, or '' when nothing is selected
+   */
+  renderFormHTML() {
+    const entry = this.getSelectedEntry();
+    if (!entry) return '';
+
+    const value = v => (v === null || v === undefined ? '' : v);
+    const idLocked = this.isPublished(this.selected.list, entry.id);
+    const shared = html`
+      <div class="form-row">
+        <div class="form-group">
+          <label for="adminId">ID${idLocked && ' (published, can\'t be changed)'}</label>
+          <input type="text" id="adminId" name="id" value="${entry.id}" ${idLocked && html`readonly`} pattern="[a-z0-9-]+">
+        </div>
+        <div class="form-group">
+          <label for="adminName">Name</label>
+          <input type="text" id="adminName" name="name" value="${entry.name}">
+        </div>
+      </div>
+      <div class="form-group">
+        <label for="adminImage">Image path</label>
+        <input type="text" id="adminImage" name="image" value="${entry.image}" placeholder="images/example.jpg">
+      </div>
+      <div class="form-group">
+        <label for="adminShortDescription">Short description</label>
+        <textarea id="adminShortDescription" name="shortDescription" rows="2">${value(entry.shortDescription)}</textarea>
+      </div>
+    `;
+
+    if (this.selected.list === 'collections') {
+      return html`
+        ${shared}
+        <div class="form-group">
+          <label for="adminDescription">Description</label>
+          <textarea id="adminDescription" name="description" rows="4">${value(entry.description)}</textarea>
+        </div>
+      `;
+    }
+
+    return html`
+      ${shared}
+      <div class="form-group">
+        <label for="adminLongDescription">Long description</label>
+        <textarea id="adminLongDescription" name="longDescription" rows="5">${value(entry.longDescription)}</textarea>
+      </div>
+      <div class="form-row">
+        <div class="form-group">
+          <label for="adminPrice">Price (USD)</label>
+          <input type="number" id="adminPrice" name="price" min="0" step="0.01" value="${value(entry.price)}">
+        </div>
+        <div class="form-group">
+          <label for="adminSalePrice">Sale price (USD, empty for none)</label>
+          <input type="number" id="adminSalePrice" name="salePrice" min="0" step="0.01" value="${value(entry.salePrice)}">
+        </div>
+      </div>
+      <div class="form-row">
+        <div class="form-group">
+          <label for="adminStock">Stock (empty if not tracked)</label>
+          <input type="number" id="adminStock" name="stock" min="0" step="1" value="${value(entry.stock)}">
+        </div>
+        <div class="form-group">
+          <label for="adminMaxPerOrder">Most per order (empty for ${DEFAULT_MAX_PER_ORDER})</label>
+          <input type="number" id="adminMaxPerOrder" name="maxPerOrder" min="1" step="1" value="${value(entry.maxPerOrder)}">
+        </div>
+      </div>
+      <div class="form-group">
+        <label for="adminCollection">Collection</label>
+        <select id="adminCollection" name="collectionSlug">
+          ${this.draft.collections.map(c => html`
+            <option value="${c.id}" ${c.id === entry.collectionSlug && html`selected`}>${c.name || c.id}</option>`)}
+        </select>
+      </div>
+      <label class="checkbox-option">
+        <input type="checkbox" name="featured" ${entry.featured === true && html`checked`}>
+        <span>Featured on the homepage</span>
+      </label>
+      ${Array.isArray(entry.variants) && html`
+        <p class="admin-note">${entry.variants.length} variants are kept as they are; edit them in data/products.json.</p>`}
+    `;
+  },
+
+  /**
+   * Render the storefront card for the selected product
+   * @returns {Object|string} Safe markup, or '' for collections
+   */
+  renderPreviewHTML() {
+    const entry = this.getSelectedEntry();
+    if (!entry || this.selected.list !== 'products') return '';
+    return renderProductCard(Object.assign({ salePrice: null, featured: false }, entry), '');
+  },
+
+  /**
+   * Render validation errors for the draft
+   * @param {Array} errors - Result of validate()
+   * @returns {Object} Safe markup
+   */
+  renderErrorsHTML(errors) {
+    if (errors.length === 0) {
+      return html`<p>The catalog is valid.</p>`;
+    }
+    return html`
+      <p>Fix these before exporting:</p>
+      <ul>${errors.map(message => html`<li>${message}</li>`)}</ul>
+    `;
+  }
+};
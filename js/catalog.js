@@ -0,0 +1,414 @@
+/**
+ * His Children - Catalog Schema
+ * Validates data/products.json before it reaches the storefront, and holds
+ * the pricing and stock rules the storefront and the page generator share.
+ * Loaded as a plain script in the browser and via require() in Node scripts.
+ * Load before cart.js.
+ */
+
+const Catalog = {
+  LOW_STOCK_THRESHOLD: 5,
+
+  /**
+   * Validate raw catalog data
+   * Bad entries are skipped and reported; the rest of the catalog stays usable.
+   * @param {Object} data - Parsed contents of data/products.json
+   * @returns {Object} Valid products, valid collections, valid bundles, and error messages
+   */
+  validate(data) {
+    if (!data || !Array.isArray(data.products) || !Array.isArray(data.collections)) {
+      throw new Error('Catalog must contain "products" and "collections" arrays');
+    }
+
+    const errors = [];
+    const collections = [];
+    const collectionIds = new Set();
+
+    data.collections.forEach((entry, index) => {
+      const problems = this.validateCollection(entry, collectionIds);
+      if (problems.length > 0) {
+        problems.forEach(p => errors.push(`${this.describe('collections', index, entry)}: ${p}`));
+        return;
+      }
+      collectionIds.add(entry.id);
+      collections.push(Object.assign({}, entry));
+    });
+
+    const products = [];
+    const productIds = new Set();
+
+    data.products.forEach((entry, index) => {
+      const problems = this.validateProduct(entry, productIds, collectionIds);
+      if (problems.length > 0) {
+        problems.forEach(p => errors.push(`${this.describe('products', index, entry)}: ${p}`));
+        return;
+      }
+      productIds.add(entry.id);
+      products.push(Object.assign({ salePrice: null, featured: false }, entry));
+    });
+
+    // Collection membership follows catalog order unless a collection lists its own
+    collections.forEach(collection => {
+      if (Array.isArray(collection.products)) {
+        collection.products.filter(id => !productIds.has(id)).forEach(id => {
+          errors.push(`collection "${collection.id}": unknown product "${id}"`);
+        });
+        collection.products = collection.products.filter(id => productIds.has(id));
+      } else {
+        collection.products = products
+          .filter(p => p.collectionSlug === collection.id)
+          .map(p => p.id);
+      }
+    });
+
+    const bundles = [];
+    if (data.bundles !== undefined && !Array.isArray(data.bundles)) {
+      errors.push('bundles must be an array');
+    } else {
+      const bundleIds = new Set();
+      const productsById = new Map(products.map(p => [p.id, p]));
+
+      (data.bundles || []).forEach((entry, index) => {
+        const problems = this.validateBundle(entry, bundleIds, productsById, collectionIds);
+        if (problems.length > 0) {
+          problems.forEach(p => errors.push(`${this.describe('bundles', index, entry)}: ${p}`));
+          return;
+        }
+        bundleIds.add(entry.id);
+        bundles.push(Object.assign({
+          collectionSlug: null,
+          variants: {},
+          image: productsById.get(entry.products[0]).image
+        }, entry));
+      });
+    }
+
+    return { products, collections, bundles, errors };
+  },
+
+  /**
+   * Check a single collection entry
+   * @param {Object} entry - Collection entry
+   * @param {Set} seenIds - Collection IDs already accepted
+   * @returns {Array} Problem descriptions (empty when valid)
+   */
+  validateCollection(entry, seenIds) {
+    if (!entry || typeof entry !== 'object') return ['entry must be an object'];
+
+    const problems = [];
+    if (!this.isNonEmptyString(entry.id)) {
+      problems.push('missing id');
+    } else if (seenIds.has(entry.id)) {
+      problems.push(`duplicate id "${entry.id}"`);
+    }
+    if (!this.isNonEmptyString(entry.name)) problems.push('missing name');
+    if (entry.products !== undefined && !Array.isArray(entry.products)) {
+      problems.push('products must be an array of product ids');
+    }
+    if (entry.story !== undefined) {
+      const story = entry.story;
+      if (!story || !this.isNonEmptyString(story.heading) || !Array.isArray(story.paragraphs)) {
+        problems.push('story must have a heading and a paragraphs array');
+      }
+    }
+    return problems;
+  },
+
+  /**
+   * Check a single product entry
+   * @param {Object} entry - Product entry
+   * @param {Set} seenIds - Product IDs already accepted
+   * @param {Set} collectionIds - Known collection IDs
+   * @returns {Array} Problem descriptions (empty when valid)
+   */
+  validateProduct(entry, seenIds, collectionIds) {
+    if (!entry || typeof entry !== 'object') return ['entry must be an object'];
+
+    const problems = [];
+    if (!this.isNonEmptyString(entry.id)) {
+      problems.push('missing id');
+    } else if (seenIds.has(entry.id)) {
+      problems.push(`duplicate id "${entry.id}"`);
+    }
+    if (!this.isNonEmptyString(entry.name)) problems.push('missing name');
+
+    if (!this.isPrice(entry.price)) {
+      problems.push(`price must be a non-negative number (got ${JSON.stringify(entry.price)})`);
+    }
+    if (entry.salePrice !== null && entry.salePrice !== undefined && !this.isPrice(entry.salePrice)) {
+      problems.push(`salePrice must be a non-negative number or null (got ${JSON.stringify(entry.salePrice)})`);
+    }
+
+    if (!this.isNonEmptyString(entry.collectionSlug)) {
+      problems.push('missing collectionSlug');
+    } else if (!collectionIds.has(entry.collectionSlug)) {
+      problems.push(`unknown collectionSlug "${entry.collectionSlug}"`);
+    }
+
+    if (!this.isNonEmptyString(entry.image)) problems.push('missing image');
+    if (entry.stock !== undefined && !this.isCount(entry.stock)) {
+      problems.push(`stock must be a whole number of 0 or more (got ${JSON.stringify(entry.stock)})`);
+    }
+    if (entry.maxPerOrder !== undefined && !(this.isCount(entry.maxPerOrder) && entry.maxPerOrder > 0)) {
+      problems.push(`maxPerOrder must be a whole number of 1 or more (got ${JSON.stringify(entry.maxPerOrder)})`);
+    }
+    if (entry.featured !== undefined && typeof entry.featured !== 'boolean') {
+      problems.push('featured must be true or false');
+    }
+    if (entry.variants !== undefined) {
+      if (!Array.isArray(entry.variants)) {
+        problems.push('variants must be an array');
+      } else {
+        const skus = new Set();
+        entry.variants.forEach((variant, index) => {
+          this.validateVariant(variant, skus).forEach(p => problems.push(`variants[${index}]: ${p}`));
+          if (variant && this.isNonEmptyString(variant.sku)) skus.add(variant.sku);
+        });
+      }
+    }
+    return problems;
+  },
+
+  /**
+   * Check a single product variant
+   * Price, salePrice, image and stock are optional and fall back to the product's own.
+   * @param {Object} variant - Variant entry
+   * @param {Set} seenSkus - SKUs already used by this product
+   * @returns {Array} Problem descriptions (empty when valid)
+   */
+  validateVariant(variant, seenSkus) {
+    if (!variant || typeof variant !== 'object') return ['entry must be an object'];
+
+    const problems = [];
+    if (!this.isNonEmptyString(variant.sku)) {
+      problems.push('missing sku');
+    } else if (seenSkus.has(variant.sku)) {
+      problems.push(`duplicate sku "${variant.sku}"`);
+    }
+
+    const options = variant.options;
+    if (!options || typeof options !== 'object' || Object.keys(options).length === 0) {
+      problems.push('options must name at least one option value');
+    } else if (!Object.values(options).every(value => this.isNonEmptyString(value))) {
+      problems.push('option values must be non-empty strings');
+    }
+
+    if (variant.price !== undefined && !this.isPrice(variant.price)) {
+      problems.push(`price must be a non-negative number (got ${JSON.stringify(variant.price)})`);
+    }
+    if (variant.salePrice !== undefined && variant.salePrice !== null && !this.isPrice(variant.salePrice)) {
+      problems.push(`salePrice must be a non-negative number or null (got ${JSON.stringify(variant.salePrice)})`);
+    }
+    if (variant.image !== undefined && !this.isNonEmptyString(variant.image)) {
+      problems.push('image must be a path');
+    }
+    if (variant.stock !== undefined && !this.isCount(variant.stock)) {
+      problems.push(`stock must be a whole number of 0 or more (got ${JSON.stringify(variant.stock)})`);
+    }
+    return problems;
+  },
+
+  /**
+   * Check a single bundle entry
+   * A bundle sells two or more products together, priced either at a fixed
+   * price or at a percent off the components. Components with variants are
+   * sold in the variant named in "variants", or their first variant.
+   * @param {Object} entry - Bundle entry
+   * @param {Set} seenIds - Bundle IDs already accepted
+   * @param {Map} productsById - Valid products by ID
+   * @param {Set} collectionIds - Known collection IDs
+   * @returns {Array} Problem descriptions (empty when valid)
+   */
+  validateBundle(entry, seenIds, productsById, collectionIds) {
+    if (!entry || typeof entry !== 'object') return ['entry must be an object'];
+
+    const problems = [];
+    if (!this.isNonEmptyString(entry.id)) {
+      problems.push('missing id');
+    } else if (seenIds.has(entry.id)) {
+      problems.push(`duplicate id "${entry.id}"`);
+    } else if (productsById.has(entry.id)) {
+      problems.push(`id "${entry.id}" is already used by a product`);
+    }
+    if (!this.isNonEmptyString(entry.name)) problems.push('missing name');
+
+    if (!Array.isArray(entry.products) || entry.products.length < 2) {
+      problems.push('products must list at least two product ids');
+    } else {
+      entry.products.filter(id => !productsById.has(id)).forEach(id => {
+        problems.push(`unknown product "${id}"`);
+      });
+      if (new Set(entry.products).size !== entry.products.length) {
+        problems.push('products must not repeat');
+      }
+    }
+
+    const hasPrice = entry.price !== undefined;
+    const hasPercent = entry.percentOff !== undefined;
+    if (hasPrice === hasPercent) {
+      problems.push('set either price or percentOff');
+    } else if (hasPrice && !this.isPrice(entry.price)) {
+      problems.push(`price must be a non-negative number (got ${JSON.stringify(entry.price)})`);
+    } else if (hasPercent && !(typeof entry.percentOff === 'number' && entry.percentOff > 0 && entry.percentOff < 100)) {
+      problems.push(`percentOff must be a number between 0 and 100 (got ${JSON.stringify(entry.percentOff)})`);
+    }
+
+    if (entry.variants !== undefined) {
+      if (!entry.variants || typeof entry.variants !== 'object' || Array.isArray(entry.variants)) {
+        problems.push('variants must map product ids to SKUs');
+      } else {
+        Object.keys(entry.variants).forEach(id => {
+          const product = productsById.get(id);
+          const skus = product && Array.isArray(product.variants) ? product.variants.map(v => v.sku) : [];
+          if (!Array.isArray(entry.products) || !entry.products.includes(id)) {
+            problems.push(`variants names "${id}", which isn't in the bundle`);
+          } else if (!skus.includes(entry.variants[id])) {
+            problems.push(`unknown sku "${entry.variants[id]}" for "${id}"`);
+          }
+        });
+      }
+    }
+
+    if (entry.collectionSlug !== undefined && !collectionIds.has(entry.collectionSlug)) {
+      problems.push(`unknown collectionSlug "${entry.collectionSlug}"`);
+    }
+    if (entry.image !== undefined && !this.isNonEmptyString(entry.image)) {
+      problems.push('image must be a path');
+    }
+    return problems;
+  },
+
+  /**
+   * Label an entry for error messages
+   * @param {string} list - "products", "collections" or "bundles"
+   * @param {number} index - Position in the list
+   * @param {Object} entry - The entry itself
+   * @returns {string} Label such as products[3] "woodland-animal-family"
+   */
+  describe(list, index, entry) {
+    const id = entry && this.isNonEmptyString(entry.id) ? ` "${entry.id}"` : '';
+    return `${list}[${index}]${id}`;
+  },
+
+  isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim() !== '';
+  },
+
+  isPrice(value) {
+    return typeof value === 'number' && isFinite(value) && value >= 0;
+  },
+
+  isCount(value) {
+    return Number.isInteger(value) && value >= 0;
+  },
+
+  /**
+   * Escape a value for use in HTML text or a quoted attribute
+   * @param {*} value - Value to escape (null and undefined become '')
+   * @returns {string} Escaped string
+   */
+  escapeHTML(value) {
+    return String(value === null || value === undefined ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  },
+
+  /**
+   * Calculate percentage off for sale items
+   * @param {number} originalPrice - Original price
+   * @param {number} salePrice - Sale price
+   * @returns {number} Percentage off (rounded)
+   */
+  calculatePercentOff(originalPrice, salePrice) {
+    if (!salePrice || salePrice >= originalPrice) return 0;
+    return Math.round(((originalPrice - salePrice) / originalPrice) * 100);
+  },
+
+  /**
+   * Check if a product is on sale
+   * @param {Object} product - Product object
+   * @returns {boolean} True if product is on sale
+   */
+  isOnSale(product) {
+    return Boolean(product.salePrice && product.salePrice < product.price);
+  },
+
+  /**
+   * Get effective price for a product (sale price if available, otherwise regular price)
+   * @param {Object} product - Product object
+   * @returns {number} Effective price
+   */
+  getEffectivePrice(product) {
+    return this.isOnSale(product) ? product.salePrice : product.price;
+  },
+
+  /**
+   * Check whether a product is sold in variants
+   * @param {Object} product - Product object
+   * @returns {boolean} True if the product has variants
+   */
+  hasVariants(product) {
+    return Array.isArray(product.variants) && product.variants.length > 0;
+  },
+
+  /**
+   * Get the product as sold in a given variant
+   * Variant price, salePrice and image replace the product's own when set,
+   * so the result works with isOnSale() and the price renderers.
+   * @param {Object} product - Product object
+   * @param {Object|null} variant - Variant, or null for the product itself
+   * @returns {Object} Product object with the variant applied
+   */
+  applyVariant(product, variant) {
+    if (!variant) return product;
+
+    // A variant that sets either price sets its own sale price too
+    const ownPricing = variant.price !== undefined || variant.salePrice !== undefined;
+    return Object.assign({}, product, {
+      sku: variant.sku,
+      options: variant.options,
+      price: variant.price !== undefined ? variant.price : product.price,
+      salePrice: ownPricing ? (variant.salePrice || null) : product.salePrice,
+      image: variant.image || product.image
+    });
+  },
+
+  /**
+   * Get how many units are in stock
+   * A variant's own stock takes precedence over the product's. Products
+   * without a stock figure are not tracked and never run out.
+   * @param {Object} product - Product object
+   * @param {Object|null} variant - Variant, or null for the product itself
+   * @returns {number} Units in stock (Infinity when untracked)
+   */
+  getStock(product, variant = null) {
+    if (variant && variant.stock !== undefined) return variant.stock;
+
+    // Without a chosen variant, a product is as available as all its variants
+    if (!variant && this.hasVariants(product) && product.variants.every(v => v.stock !== undefined)) {
+      return product.variants.reduce((sum, v) => sum + v.stock, 0);
+    }
+
+    return product.stock !== undefined ? product.stock : Infinity;
+  },
+
+  /**
+   * Get the stock status of a product
+   * @param {Object} product - Product object
+   * @param {Object|null} variant - Variant, or null for the product itself
+   * @returns {string} 'sold_out', 'low_stock' or 'in_stock'
+   */
+  getStockStatus(product, variant = null) {
+    const stock = this.getStock(product, variant);
+    if (stock <= 0) return 'sold_out';
+    if (stock <= this.LOW_STOCK_THRESHOLD) return 'low_stock';
+    return 'in_stock';
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Catalog;
+}
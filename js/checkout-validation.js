@@ -0,0 +1,299 @@
+/**
+ * His Children - Checkout Validation
+ * Field rules, inline error messages and address capture for checkout.html
+ * Card fields are checked by Payment.validateCard(), so load js/payment.js first.
+ */
+
+const CheckoutValidation = {
+  EMAIL_PATTERN: /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/,
+  ZIP_PATTERN: /^(\d{5})(?:-?(\d{4}))?$/,
+
+  /**
+   * First three ZIP digits used by each state, as inclusive ranges
+   */
+  STATE_ZIP_PREFIXES: {
+    AL: [[350, 369]],
+    AK: [[995, 999]],
+    AZ: [[850, 865]],
+    AR: [[716, 729]],
+    CA: [[900, 961]],
+    CO: [[800, 816]],
+    CT: [[60, 69]],
+    DE: [[197, 199]],
+    FL: [[320, 349]],
+    GA: [[300, 319], [398, 399]],
+    HI: [[967, 968]],
+    ID: [[832, 838]],
+    IL: [[600, 629]],
+    IN: [[460, 479]],
+    IA: [[500, 528]],
+    KS: [[660, 679]],
+    KY: [[400, 427]],
+    LA: [[700, 715]],
+    ME: [[39, 49]],
+    MD: [[206, 219]],
+    MA: [[10, 27], [55, 55]],
+    MI: [[480, 499]],
+    MN: [[550, 567]],
+    MS: [[386, 397]],
+    MO: [[630, 658]],
+    MT: [[590, 599]],
+    NE: [[680, 693]],
+    NV: [[889, 898]],
+    NH: [[30, 38]],
+    NJ: [[70, 89]],
+    NM: [[870, 884]],
+    NY: [[5, 5], [100, 149]],
+    NC: [[270, 289]],
+    ND: [[580, 588]],
+    OH: [[430, 459]],
+    OK: [[730, 749]],
+    OR: [[970, 979]],
+    PA: [[150, 196]],
+    RI: [[28, 29]],
+    SC: [[290, 299]],
+    SD: [[570, 577]],
+    TN: [[370, 385]],
+    TX: [[750, 799], [885, 885]],
+    UT: [[840, 847]],
+    VT: [[50, 54], [56, 59]],
+    VA: [[201, 201], [220, 246]],
+    WA: [[980, 994]],
+    WV: [[247, 268]],
+    WI: [[530, 549]],
+    WY: [[820, 831]]
+  },
+
+  /**
+   * Address fields, by the suffix used in the form's input IDs
+   */
+  ADDRESS_FIELDS: ['firstName', 'lastName', 'address', 'apartment', 'city', 'state', 'zip'],
+  OPTIONAL_FIELDS: ['apartment'],
+
+  /**
+   * Card inputs, checked by Payment.validateCard()
+   */
+  CARD_FIELDS: {
+    cardName: 'name',
+    cardNumber: 'number',
+    cardExpiry: 'expiry',
+    cardCvc: 'cvc'
+  },
+
+  FIELD_LABELS: {
+    email: 'your email address',
+    firstName: 'a first name',
+    lastName: 'a last name',
+    address: 'a street address',
+    city: 'a city',
+    state: 'a state',
+    zip: 'a ZIP code'
+  },
+
+  /**
+   * Normalize a ZIP code
+   * @param {string} zip - ZIP as entered
+   * @returns {string|null} "12345" or "12345-6789", or null when not a valid ZIP or ZIP+4
+   */
+  normalizeZip(zip) {
+    const match = String(zip || '').trim().match(this.ZIP_PATTERN);
+    if (!match) return null;
+    return match[2] ? `${match[1]}-${match[2]}` : match[1];
+  },
+
+  /**
+   * Check that a ZIP code belongs to a state
+   * @param {string} zip - Valid ZIP code
+   * @param {string} state - Two-letter state code
+   * @returns {boolean} True when the ZIP is in the state, or the state isn't in the table
+   */
+  zipMatchesState(zip, state) {
+    const ranges = this.STATE_ZIP_PREFIXES[state];
+    if (!ranges) return true;
+    const prefix = parseInt(String(zip).slice(0, 3), 10);
+    return ranges.some(([low, high]) => prefix >= low && prefix <= high);
+  },
+
+  /**
+   * Check one field
+   * @param {string} field - Field name (email, or an address field)
+   * @param {string} value - Field value
+   * @param {Object} address - The rest of the address, for the state/ZIP check
+   * @returns {string} Error message, or '' when valid
+   */
+  validateField(field, value, address = {}) {
+    const trimmed = String(value || '').trim();
+
+    if (!trimmed) {
+      return this.OPTIONAL_FIELDS.includes(field) ? '' : `Please enter ${this.FIELD_LABELS[field]}.`;
+    }
+
+    if (field === 'email' && !this.EMAIL_PATTERN.test(trimmed)) {
+      return 'Please enter an email address like name@example.com.';
+    }
+
+    if (field === 'zip') {
+      const zip = this.normalizeZip(trimmed);
+      if (!zip) return 'Please enter a 5-digit ZIP code, or ZIP+4 like 12345-6789.';
+      if (address.state && !this.zipMatchesState(zip, address.state)) {
+        return "This ZIP code doesn't match the selected state.";
+      }
+    }
+
+    return '';
+  },
+
+  /**
+   * Check a whole checkout submission
+   * @param {Object} values - { email, shipping: {...}, billingSameAsShipping, billing: {...}, card: {...} }
+   *   card is only checked when given
+   * @returns {Object} { valid, errors } where errors is keyed by input ID
+   */
+  validate(values) {
+    const errors = {};
+
+    const emailError = this.validateField('email', values.email);
+    if (emailError) errors.email = emailError;
+
+    const addresses = [['', values.shipping]];
+    if (!values.billingSameAsShipping) addresses.push(['billing', values.billing]);
+
+    addresses.forEach(([prefix, address]) => {
+      this.ADDRESS_FIELDS.forEach(field => {
+        const message = this.validateField(field, address[field], address);
+        if (message) errors[this.getInputId(prefix, field)] = message;
+      });
+    });
+
+    if (values.card) Object.assign(errors, Payment.validateCard(values.card));
+
+    return { valid: Object.keys(errors).length === 0, errors };
+  },
+
+  /**
+   * Input ID for an address field
+   * @param {string} prefix - '' for shipping, 'billing' for billing
+   * @param {string} field - Address field name
+   * @returns {string} e.g. "zip" or "billingZip"
+   */
+  getInputId(prefix, field) {
+    return prefix ? prefix + field.charAt(0).toUpperCase() + field.slice(1) : field;
+  },
+
+  /**
+   * IDs of every input the validator checks
+   * @returns {Array} Input IDs, in form order
+   */
+  getInputIds() {
+    const ids = ['email'];
+    ['', 'billing'].forEach(prefix => {
+      this.ADDRESS_FIELDS.forEach(field => ids.push(this.getInputId(prefix, field)));
+    });
+    return ids.concat(Object.keys(this.CARD_FIELDS));
+  },
+
+  /**
+   * Read an address from the form
+   * @param {string} prefix - '' for shipping, 'billing' for billing
+   * @returns {Object} Trimmed address fields, with the ZIP normalized when valid
+   */
+  readAddress(prefix = '') {
+    const address = {};
+    this.ADDRESS_FIELDS.forEach(field => {
+      const input = document.getElementById(this.getInputId(prefix, field));
+      address[field] = input ? input.value.trim() : '';
+    });
+    address.zip = this.normalizeZip(address.zip) || address.zip;
+    return address;
+  },
+
+  /**
+   * Read the card details from the form
+   * @returns {Object|null} { name, number, expiry, cvc }, or null when the form has no card step
+   */
+  readCard() {
+    if (!document.getElementById('cardNumber')) return null;
+
+    const card = {};
+    Object.keys(this.CARD_FIELDS).forEach(id => {
+      card[this.CARD_FIELDS[id]] = document.getElementById(id).value.trim();
+    });
+    return card;
+  },
+
+  /**
+   * Read the customer, shipping, billing and card details from the form
+   * @returns {Object} { email, shipping, billingSameAsShipping, billing, card }
+   */
+  readForm() {
+    const billingSameAsShipping = document.getElementById('billingSameAsShipping').checked;
+    const shipping = this.readAddress();
+
+    return {
+      email: document.getElementById('email').value.trim(),
+      shipping,
+      billingSameAsShipping,
+      billing: billingSameAsShipping ? Object.assign({}, shipping) : this.readAddress('billing'),
+      card: this.readCard()
+    };
+  },
+
+  /**
+   * Show or clear the inline error under an input
+   * @param {string} inputId - Input ID
+   * @param {string} message - Error message, or '' to clear
+   */
+  showFieldError(inputId, message) {
+    const input = document.getElementById(inputId);
+    if (!input) return;
+
+    const errorId = `${inputId}Error`;
+    let errorEl = document.getElementById(errorId);
+    if (!errorEl) {
+      errorEl = document.createElement('p');
+      errorEl.className = 'field-error';
+      errorEl.id = errorId;
+      input.closest('.form-group').appendChild(errorEl);
+    }
+
+    errorEl.textContent = message;
+    errorEl.style.display = message ? '' : 'none';
+    input.setAttribute('aria-invalid', message ? 'true' : 'false');
+    if (message) {
+      input.setAttribute('aria-describedby', errorId);
+    } else {
+      input.removeAttribute('aria-describedby');
+    }
+  },
+
+  /**
+   * Re-check a single input, e.g. when it loses focus
+   * Empty fields stay quiet until the form is submitted.
+   * @param {HTMLElement} input - Form input
+   */
+  checkInput(input) {
+    if (!this.getInputIds().includes(input.id)) return;
+    if (!input.value.trim() && input.getAttribute('aria-invalid') !== 'true') return;
+
+    const result = this.validate(this.readForm());
+    this.showFieldError(input.id, result.errors[input.id] || '');
+  },
+
+  /**
+   * Validate the whole form, show every error and focus the first one
+   * @returns {Object|null} The validated form values, or null when something needs fixing
+   */
+  validateForm() {
+    const values = this.readForm();
+    const result = this.validate(values);
+
+    this.getInputIds().forEach(id => this.showFieldError(id, result.errors[id] || ''));
+
+    if (!result.valid) {
+      const first = document.getElementById(Object.keys(result.errors)[0]);
+      if (first) first.focus();
+      return null;
+    }
+    return values;
+  }
+};
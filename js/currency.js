@@ -0,0 +1,128 @@
+/**
+ * His Children - Currency
+ * Display currency for every price on the site. Catalog prices and cart
+ * totals stay in US dollars; amounts are converted with a local rate table
+ * only when they're shown or charged. Load before cart.js.
+ */
+
+const Currency = {
+  STORAGE_KEY: 'hischildren_currency',
+  BASE: 'USD',
+
+  /**
+   * Currencies shoppers can pick
+   *   rate       Units of the currency per US dollar
+   *   increment  Smallest step a converted amount is rounded to (Canada has no pennies)
+   *   locale     Locale used to format the amount (en-US for CAD, so it reads CA$ rather than $)
+   */
+  CURRENCIES: {
+    USD: { name: 'US Dollar', rate: 1, increment: 0.01, locale: 'en-US' },
+    CAD: { name: 'Canadian Dollar', rate: 1.37, increment: 0.05, locale: 'en-US' },
+    GBP: { name: 'British Pound', rate: 0.79, increment: 0.01, locale: 'en-GB' },
+    EUR: { name: 'Euro', rate: 0.92, increment: 0.01, locale: 'en-IE' }
+  },
+
+  formatters: {},
+
+  /**
+   * Get the currency the shopper picked
+   * @returns {string} Currency code, USD when none was picked
+   */
+  getCode() {
+    try {
+      const code = localStorage.getItem(this.STORAGE_KEY);
+      return this.CURRENCIES[code] ? code : this.BASE;
+    } catch (e) {
+      console.error('Error reading currency:', e);
+      return this.BASE;
+    }
+  },
+
+  /**
+   * Pick the display currency
+   * @param {string} code - Key of Currency.CURRENCIES
+   * @returns {boolean} True when the currency is known and was saved
+   */
+  setCode(code) {
+    if (!this.CURRENCIES[code]) return false;
+    try {
+      localStorage.setItem(this.STORAGE_KEY, code);
+      return true;
+    } catch (e) {
+      console.error('Error saving currency:', e);
+      return false;
+    }
+  },
+
+  /**
+   * Get the picked currency with its current rate, as saved on orders
+   * @returns {Object} { code, rate }
+   */
+  getSelected() {
+    const code = this.getCode();
+    return { code, rate: this.CURRENCIES[code].rate };
+  },
+
+  /**
+   * Convert a US dollar amount and round it to the currency's increment
+   * @param {number} amount - Amount in US dollars
+   * @param {Object} currency - { code, rate } (defaults to the picked currency)
+   * @returns {number} Converted amount
+   */
+  convert(amount, currency = this.getSelected()) {
+    const settings = this.CURRENCIES[currency.code] || this.CURRENCIES[this.BASE];
+    const steps = Math.round(amount * currency.rate / settings.increment);
+    return Math.round(steps * settings.increment * 100) / 100;
+  },
+
+  /**
+   * Format a US dollar amount in a currency
+   * @param {number} amount - Amount in US dollars
+   * @param {Object} currency - { code, rate } (defaults to the picked currency)
+   * @returns {string} e.g. "$42.00", "CA$57.55" or "£33.18"
+   */
+  format(amount, currency = this.getSelected()) {
+    const code = this.CURRENCIES[currency.code] ? currency.code : this.BASE;
+    return this.getFormatter(code).format(this.convert(amount, currency));
+  },
+
+  /**
+   * Get a cached Intl formatter for a currency
+   * @param {string} code - Currency code
+   * @returns {Intl.NumberFormat} Formatter
+   */
+  getFormatter(code) {
+    if (!this.formatters[code]) {
+      this.formatters[code] = new Intl.NumberFormat(this.CURRENCIES[code].locale, {
+        style: 'currency',
+        currency: code,
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2
+      });
+    }
+    return this.formatters[code];
+  },
+
+  /**
+   * Fill and connect the currency picker (#currencySelect)
+   * Picking a currency reloads the page so every price is shown in it.
+   */
+  bindPicker() {
+    const select = document.getElementById('currencySelect');
+    if (!select || select.options.length > 0) return;
+
+    Object.keys(this.CURRENCIES).forEach(code => {
+      const option = document.createElement('option');
+      option.value = code;
+      option.textContent = `${code} – ${this.CURRENCIES[code].name}`;
+      select.appendChild(option);
+    });
+    select.value = this.getCode();
+
+    select.addEventListener('change', () => {
+      if (this.setCode(select.value)) window.location.reload();
+    });
+  }
+};
+
+document.addEventListener('DOMContentLoaded', () => Currency.bindPicker());
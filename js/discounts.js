@@ -0,0 +1,222 @@
+/**
+ * His Children - Discounts
+ * Promo code definitions and the rules Cart.getTotals() uses to price them
+ */
+
+const Discounts = {
+  /**
+   * Promo codes, keyed by upper-case code
+   *   type        'percent', 'fixed' or 'buy_x_get_y'
+   *   percent     Percent off eligible items (percent)
+   *   amount      Dollars off eligible items (fixed)
+   *   buy, get    Units to buy, and units then free (buy_x_get_y)
+   *   collection  Limit the code to one collection slug (optional)
+   *   minSubtotal Cart subtotal needed before the code applies (optional)
+   *   startsAt    First day the code works, YYYY-MM-DD (optional)
+   *   expiresAt   Last day the code works, YYYY-MM-DD (optional)
+   *   label       Description shown with the code; {amount} and {minSubtotal} are
+   *               filled in as prices in the shopper's currency
+   */
+  CODES: {
+    WELCOME10: {
+      type: 'percent',
+      percent: 10,
+      label: '10% off your order'
+    },
+    HEIRLOOM15: {
+      type: 'percent',
+      percent: 15,
+      collection: 'heirloom-wooden',
+      label: '15% off Heirloom Wooden'
+    },
+    GIFT10: {
+      type: 'fixed',
+      amount: 10,
+      minSubtotal: 60,
+      label: '{amount} off orders of {minSubtotal} or more'
+    },
+    FRIENDS3: {
+      type: 'buy_x_get_y',
+      buy: 2,
+      get: 1,
+      collection: 'storybook-friends',
+      label: 'Buy 2 Storybook Friends, get 1 free'
+    },
+    HOLIDAY20: {
+      type: 'percent',
+      percent: 20,
+      minSubtotal: 100,
+      startsAt: '2026-11-20',
+      expiresAt: '2026-12-31',
+      label: '20% off holiday orders of {minSubtotal} or more'
+    },
+    SUMMER25: {
+      type: 'percent',
+      percent: 25,
+      expiresAt: '2025-08-31',
+      label: '25% off summer favorites'
+    }
+  },
+
+  /**
+   * Normalize a code as typed by a customer
+   * @param {string} code - Code as entered
+   * @returns {string} Trimmed, upper-case code
+   */
+  normalize(code) {
+    return String(code || '').trim().toUpperCase();
+  },
+
+  /**
+   * Look up a promo code
+   * @param {string} code - Code as entered
+   * @returns {Object|null} Promo definition or null
+   */
+  find(code) {
+    return this.CODES[this.normalize(code)] || null;
+  },
+
+  /**
+   * Get a promo code's description
+   * @param {Object} promo - Promo definition
+   * @returns {string} Label with its prices filled in
+   */
+  getLabel(promo) {
+    return promo.label.replace(/\{(amount|minSubtotal)\}/g, (match, field) => Cart.formatPrice(promo[field]));
+  },
+
+  /**
+   * Price a promo code against cart items
+   * Lines marked bundled count towards minSubtotal but are never discounted.
+   * @param {string} code - Code as entered
+   * @param {Array} items - Cart items (see Cart.getPromoItems())
+   * @param {Date} now - Date to check start and expiry against
+   * @returns {Object} { valid, code, label, amount, message }
+   */
+  evaluate(code, items, now = new Date()) {
+    const normalized = this.normalize(code);
+    const promo = this.find(normalized);
+    const result = { valid: false, code: normalized, label: '', amount: 0, message: '' };
+
+    if (!promo) {
+      result.message = `"${normalized}" isn't a code we recognize.`;
+      return result;
+    }
+    result.label = this.getLabel(promo);
+
+    const today = this.toDateString(now);
+    if (promo.startsAt && today < promo.startsAt) {
+      result.message = `${normalized} starts on ${this.formatDate(promo.startsAt)}.`;
+      return result;
+    }
+    if (promo.expiresAt && today > promo.expiresAt) {
+      result.message = `${normalized} expired on ${this.formatDate(promo.expiresAt)}.`;
+      return result;
+    }
+
+    const subtotal = this.sumLines(items);
+    if (promo.minSubtotal && subtotal < promo.minSubtotal) {
+      result.message = `${normalized} applies to orders of ${Cart.formatPrice(promo.minSubtotal)} or more.`;
+      return result;
+    }
+
+    const inCollection = promo.collection
+      ? items.filter(item => this.getCollectionSlug(item) === promo.collection)
+      : items;
+    if (inCollection.length === 0) {
+      const collection = getCollection(promo.collection);
+      result.message = `${normalized} applies to ${collection ? collection.name : 'selected'} items only.`;
+      return result;
+    }
+
+    const eligible = inCollection.filter(item => !item.bundled);
+    if (eligible.length === 0) {
+      result.message = `${normalized} can't be combined with bundle savings.`;
+      return result;
+    }
+
+    const amount = this.roundMoney(this.calculateAmount(promo, eligible));
+    if (amount <= 0) {
+      result.message = promo.type === 'buy_x_get_y'
+        ? `Add ${promo.buy + promo.get} eligible items to use ${normalized}.`
+        : `${normalized} doesn't apply to the items in your cart.`;
+      return result;
+    }
+
+    result.valid = true;
+    result.amount = amount;
+    return result;
+  },
+
+  /**
+   * Work out the discount for eligible items
+   * @param {Object} promo - Promo definition
+   * @param {Array} eligible - Cart items the promo applies to
+   * @returns {number} Discount in dollars
+   */
+  calculateAmount(promo, eligible) {
+    const eligibleSubtotal = this.sumLines(eligible);
+
+    if (promo.type === 'percent') {
+      return eligibleSubtotal * (promo.percent / 100);
+    }
+
+    if (promo.type === 'fixed') {
+      return Math.min(promo.amount, eligibleSubtotal);
+    }
+
+    if (promo.type === 'buy_x_get_y') {
+      // Most expensive units count toward "buy"; the cheapest in each group are free
+      const units = [];
+      eligible.forEach(item => {
+        for (let i = 0; i < item.quantity; i++) units.push(item.price);
+      });
+      units.sort((a, b) => b - a);
+
+      const groupSize = promo.buy + promo.get;
+      let free = 0;
+      units.forEach((price, index) => {
+        if (index % groupSize >= promo.buy && index - (index % groupSize) + groupSize <= units.length) {
+          free += price;
+        }
+      });
+      return free;
+    }
+
+    return 0;
+  },
+
+  /**
+   * Find a cart line's collection slug
+   * Lines saved before collectionSlug was stored fall back to the catalog.
+   * @param {Object} item - Cart item
+   * @returns {string|null} Collection slug
+   */
+  getCollectionSlug(item) {
+    if (item.collectionSlug) return item.collectionSlug;
+    const product = getProduct(item.id);
+    return product ? product.collectionSlug : null;
+  },
+
+  sumLines(items) {
+    return items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+  },
+
+  roundMoney(amount) {
+    return Math.round(amount * 100) / 100;
+  },
+
+  toDateString(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  },
+
+  formatDate(dateString) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString('en-US', {
+      month: 'long',
+      day: 'numeric',
+      year: 'numeric'
+    });
+  }
+};
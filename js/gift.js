@@ -0,0 +1,223 @@
+/**
+ * His Children - Gift Options
+ * Gift wrap fees, gift messages and the gift controls shared by cart.html and
+ * checkout.html. The whole order can be wrapped together, and single lines
+ * can be wrapped on their own; Cart.getTotals() prices both.
+ */
+
+const Gift = {
+  /**
+   * Wrap fees in dollars
+   *   order  Wrapping the whole order together
+   *   line   Wrapping each unit of a line on its own
+   */
+  WRAP_FEES: {
+    order: 6.95,
+    line: 3.95
+  },
+
+  MESSAGE_LIMIT: 200,
+  LINE_MESSAGE_LIMIT: 100,
+
+  /**
+   * Clean up order gift options
+   * Messages are trimmed and cut to the character limit.
+   * @param {Object} options - { wrap, message, hidePrices } (any may be missing)
+   * @returns {Object} { wrap, message, hidePrices }
+   */
+  normalizeOptions(options) {
+    const source = options && typeof options === 'object' ? options : {};
+    return {
+      wrap: Boolean(source.wrap),
+      message: this.normalizeMessage(source.message, this.MESSAGE_LIMIT),
+      hidePrices: Boolean(source.hidePrices)
+    };
+  },
+
+  /**
+   * Clean up a cart line's gift options
+   * @param {Object} gift - { wrap, message } (any may be missing)
+   * @returns {Object|null} { wrap, message }, or null when the line isn't a gift
+   */
+  normalizeLine(gift) {
+    const source = gift && typeof gift === 'object' ? gift : {};
+    const line = {
+      wrap: Boolean(source.wrap),
+      message: this.normalizeMessage(source.message, this.LINE_MESSAGE_LIMIT)
+    };
+    return line.wrap || line.message ? line : null;
+  },
+
+  /**
+   * Trim a gift message and cut it to a limit
+   * @param {string} message - Message as entered
+   * @param {number} limit - Most characters allowed
+   * @returns {string} Message
+   */
+  normalizeMessage(message, limit) {
+    return String(message || '').trim().slice(0, limit);
+  },
+
+  /**
+   * Check whether an order has any gift options set
+   * @param {Object} options - Order gift options
+   * @param {Array} items - Cart items
+   * @returns {boolean} True when anything is wrapped, has a message or hides prices
+   */
+  isGift(options, items = []) {
+    const order = this.normalizeOptions(options);
+    return order.wrap || Boolean(order.message) || order.hidePrices ||
+      items.some(item => this.normalizeLine(item.gift));
+  },
+
+  /**
+   * Price gift wrap for an order
+   * @param {Array} items - Cart items, with any line gift options
+   * @param {Object} options - Order gift options
+   * @returns {Object} { fee, orderWrap, lineWrap, wrappedUnits }
+   */
+  quote(items, options) {
+    const order = this.normalizeOptions(options);
+    const wrappedUnits = items
+      .filter(item => (this.normalizeLine(item.gift) || {}).wrap)
+      .reduce((sum, item) => sum + item.quantity, 0);
+
+    const orderWrap = order.wrap && items.length > 0 ? this.WRAP_FEES.order : 0;
+    const lineWrap = Math.round(wrappedUnits * this.WRAP_FEES.line * 100) / 100;
+
+    return {
+      fee: Math.round((orderWrap + lineWrap) * 100) / 100,
+      orderWrap,
+      lineWrap,
+      wrappedUnits
+    };
+  },
+
+  /**
+   * Describe how many characters are left in a message
+   * @param {string} message - Message as typed
+   * @param {number} limit - Most characters allowed
+   * @returns {string} e.g. "182 characters left"
+   */
+  getRemainingLabel(message, limit = this.MESSAGE_LIMIT) {
+    const left = Math.max(0, limit - String(message || '').length);
+    return `${left} character${left === 1 ? '' : 's'} left`;
+  },
+
+  /**
+   * Build the gift controls for a cart line
+   * Changes are saved straight to the cart through the "gift-wrap" and
+   * "gift-note" actions below, and pages re-render through Cart.subscribe().
+   * @param {Object} item - Cart item
+   * @returns {Object} Safe markup
+   */
+  renderLineOptionsHTML(item) {
+    const lineId = Cart.getLineId(item);
+    const gift = this.normalizeLine(item.gift) || { wrap: false, message: '' };
+    return html`
+      <div class="gift-line">
+        <label class="gift-line-wrap">
+          <input type="checkbox" ${gift.wrap && html`checked`} data-action="gift-wrap" data-line-id="${lineId}">
+          <span>Gift wrap separately (+${Cart.formatPrice(this.WRAP_FEES.line)} each)</span>
+        </label>
+        <input type="text" class="gift-line-message" aria-label="Gift note for ${item.name}"
+               maxlength="${this.LINE_MESSAGE_LIMIT}" placeholder="Add a gift note for this item (optional)"
+               value="${gift.message}" data-action="gift-note" data-line-id="${lineId}">
+      </div>
+    `;
+  },
+
+  /**
+   * Turn separate gift wrap on or off for a cart line
+   * @param {string} lineId - Cart line ID
+   * @param {boolean} wrap - Whether to wrap it
+   */
+  setLineWrap(lineId, wrap) {
+    const current = Cart.getItems().find(item => Cart.getLineId(item) === lineId);
+    if (!current) return;
+    Cart.setLineGift(lineId, Object.assign({}, current.gift, { wrap }));
+  },
+
+  /**
+   * Set the gift note for a cart line
+   * @param {string} lineId - Cart line ID
+   * @param {string} message - Note as entered
+   */
+  setLineMessage(lineId, message) {
+    const current = Cart.getItems().find(item => Cart.getLineId(item) === lineId);
+    if (!current) return;
+    Cart.setLineGift(lineId, Object.assign({}, current.gift, { message }));
+  },
+
+  /**
+   * Connect the order gift form (#giftWrap, #giftMessage, #giftHidePrices)
+   * to the cart
+   * The message is saved when it changes, with a live count while typing.
+   */
+  bindForm() {
+    const wrap = document.getElementById('giftWrap');
+    const message = document.getElementById('giftMessage');
+    const hidePrices = document.getElementById('giftHidePrices');
+    if (!wrap || !message || !hidePrices) return;
+
+    message.maxLength = this.MESSAGE_LIMIT;
+    document.getElementById('giftWrapFee').textContent = `+${Cart.formatPrice(this.WRAP_FEES.order)}`;
+
+    const save = () => Cart.setGiftOptions({
+      wrap: wrap.checked,
+      message: message.value,
+      hidePrices: hidePrices.checked
+    });
+    wrap.addEventListener('change', save);
+    hidePrices.addEventListener('change', save);
+    message.addEventListener('change', save);
+    message.addEventListener('input', () => {
+      document.getElementById('giftMessageCount').textContent = this.getRemainingLabel(message.value);
+    });
+
+    this.fillForm();
+  },
+
+  /**
+   * Show the cart's saved gift options in the order gift form
+   * A field the customer is typing in is left alone.
+   */
+  fillForm() {
+    const message = document.getElementById('giftMessage');
+    if (!message) return;
+
+    const options = Cart.getGiftOptions();
+    document.getElementById('giftWrap').checked = options.wrap;
+    document.getElementById('giftHidePrices').checked = options.hidePrices;
+    if (document.activeElement !== message) message.value = options.message;
+    document.getElementById('giftMessageCount').textContent = this.getRemainingLabel(message.value);
+  },
+
+  /**
+   * Describe a line's gift options
+   * @param {Object} gift - Line gift options
+   * @returns {string} Plain text, e.g. 'Gift wrapped separately · "Happy birthday!"'
+   */
+  describeLine(gift) {
+    const line = this.normalizeLine(gift);
+    if (!line) return '';
+    return [line.wrap ? 'Gift wrapped separately' : '', line.message ? `"${line.message}"` : '']
+      .filter(Boolean)
+      .join(' · ');
+  },
+
+  /**
+   * Link to an order's printable gift receipt
+   * @param {string} orderNumber - Order number
+   * @returns {string} URL
+   */
+  getReceiptURL(orderNumber) {
+    return `gift-receipt.html?number=${encodeURIComponent(orderNumber)}`;
+  }
+};
+
+// Line gift controls are rendered into cart and checkout summaries
+onAction(document, 'change', {
+  'gift-wrap': input => Gift.setLineWrap(input.dataset.lineId, input.checked),
+  'gift-note': input => Gift.setLineMessage(input.dataset.lineId, input.value)
+});
@@ -0,0 +1,170 @@
+/**
+ * His Children - Order View
+ * Order summary rendering shared by success.html and order.html
+ * Gift details use js/gift.js, so load it first.
+ */
+
+const OrderView = {
+  /**
+   * Fill the order summary (items and totals) for an order
+   * @param {Object} order - Saved order
+   */
+  renderSummary(order) {
+    const orderItemsEl = document.getElementById('orderItems');
+    orderItemsEl.innerHTML = order.items.map(item => html`
+        <div class="order-item">
+          <div class="order-item-image img-placeholder">
+            <svg viewBox="0 0 60 60" xmlns="http://www.w3.org/2000/svg">
+              <rect width="60" height="60" fill="#E8E4DD"/>
+              <rect x="15" y="25" width="10" height="15" fill="#D4CFC5"/>
+              <rect x="25" y="20" width="10" height="20" fill="#B8AFA3"/>
+              <rect x="35" y="15" width="10" height="25" fill="#D4CFC5"/>
+            </svg>
+          </div>
+          <div class="order-item-info">
+            <div class="order-item-name">${item.name}</div>
+            ${item.options && html`<div class="order-item-options">${formatVariantOptions(item.options)}</div>`}
+            ${renderBundleComponentsHTML(item)}
+            <div class="order-item-quantity">Qty: ${item.quantity}</div>
+            ${item.gift && html`<div class="order-item-gift">${Gift.describeLine(item.gift)}</div>`}
+          </div>
+          <div class="order-item-price">${Cart.formatPrice(item.price * item.quantity, order.currency)}</div>
+        </div>
+      `).join('');
+
+    document.getElementById('orderSubtotal').textContent = Cart.formatPrice(order.totals.subtotal, order.currency);
+    if (order.discount) {
+      document.getElementById('orderDiscountLabel').textContent = `Discount (${order.discount.code})`;
+      document.getElementById('orderDiscount').textContent = '−' + Cart.formatPrice(order.discount.amount, order.currency);
+      document.getElementById('orderDiscountRow').style.display = '';
+    }
+    if (order.totals.bundleDiscount > 0) {
+      document.getElementById('orderBundleDiscount').textContent = '−' + Cart.formatPrice(order.totals.bundleDiscount, order.currency);
+      document.getElementById('orderBundleRow').style.display = '';
+    }
+    if (order.gift && order.gift.fee > 0) {
+      document.getElementById('orderGift').textContent = Cart.formatPrice(order.gift.fee, order.currency);
+      document.getElementById('orderGiftRow').style.display = '';
+    }
+    if (order.shipping) {
+      document.getElementById('orderShippingLabel').textContent = `Shipping (${order.shipping.name})`;
+    }
+    document.getElementById('orderShipping').textContent = order.totals.shipping === 0 ? 'Free' : Cart.formatPrice(order.totals.shipping, order.currency);
+    if (order.tax && order.tax.state) {
+      document.getElementById('orderTaxLabel').textContent = `Tax (${order.tax.state} ${order.tax.rate}%)`;
+      document.getElementById('orderTax').textContent = Cart.formatPrice(order.tax.amount, order.currency);
+      document.getElementById('orderTaxRow').style.display = '';
+    }
+    document.getElementById('orderTotal').textContent = Cart.formatPrice(order.totals.total, order.currency);
+    this.renderAddresses(order);
+    this.renderGift(order);
+  },
+
+  /**
+   * Show the order's gift message and options, with a link to the gift receipt
+   * Orders that aren't gifts leave the section hidden.
+   * @param {Object} order - Saved order
+   */
+  renderGift(order) {
+    const section = document.getElementById('orderGiftDetails');
+    if (!section || !order.gift) return;
+
+    const notes = [];
+    if (order.gift.wrap) notes.push('The whole order will be gift wrapped together.');
+    const wrappedLines = order.items.filter(item => item.gift && item.gift.wrap).length;
+    if (wrappedLines > 0) {
+      notes.push(`${wrappedLines} item${wrappedLines === 1 ? ' is' : 's are'} wrapped separately.`);
+    }
+    if (order.gift.hidePrices) notes.push('Prices are left off the packing slip.');
+
+    document.getElementById('orderGiftMessage').textContent = order.gift.message || 'No gift message';
+    document.getElementById('orderGiftNotes').textContent = notes.join(' ');
+    document.getElementById('giftReceiptLink').href = Gift.getReceiptURL(order.orderNumber);
+    section.style.display = '';
+  },
+
+  /**
+   * Show where the order ships, the billing address, contact email and payment
+   * Orders saved before addresses were captured leave the section hidden.
+   * @param {Object} order - Saved order
+   */
+  renderAddresses(order) {
+    const section = document.getElementById('orderAddresses');
+    if (!section || !order.shippingAddress) return;
+
+    document.getElementById('orderShipTo').textContent = this.formatAddress(order.shippingAddress);
+    document.getElementById('orderBillTo').textContent = order.billingSameAsShipping
+      ? 'Same as shipping address'
+      : this.formatAddress(order.billingAddress);
+    document.getElementById('orderContact').textContent = order.customer ? order.customer.email : '';
+
+    const payment = document.getElementById('orderPaymentDetails');
+    if (payment && order.payment) {
+      document.getElementById('orderPayment').textContent = this.formatPayment(order.payment);
+      payment.style.display = '';
+    }
+    section.style.display = '';
+  },
+
+  /**
+   * Describe how an order was paid
+   * @param {Object} payment - Payment record saved on the order
+   * @returns {string} e.g. "Visa ending 4242 (Paid)"
+   */
+  formatPayment(payment) {
+    const status = {
+      captured: 'Paid',
+      pending: 'Pending',
+      declined: 'Declined',
+      failed: 'Failed'
+    }[payment.status] || payment.status;
+    return `${payment.brand} ending ${payment.last4} (${status})`;
+  },
+
+  /**
+   * Format an address as lines of text
+   * @param {Object} address - { firstName, lastName, address, apartment, city, state, zip }
+   * @returns {string} Address with one line per row
+   */
+  formatAddress(address) {
+    if (!address) return '';
+    return [
+      `${address.firstName} ${address.lastName}`,
+      address.address,
+      address.apartment,
+      `${address.city}, ${address.state} ${address.zip}`
+    ].filter(Boolean).join('\n');
+  },
+
+  /**
+   * Build a status badge for an order
+   * @param {Object} order - Saved order
+   * @returns {Object} Safe markup
+   */
+  renderStatusHTML(order) {
+    const status = order.status || 'placed';
+    return html`<span class="order-status order-status--${status}">${Cart.getOrderStatusLabel(status)}</span>`;
+  },
+
+  /**
+   * Format an order date for display
+   * @param {string} date - ISO date string
+   * @returns {string} e.g. "October 19, 2026"
+   */
+  formatDate(date) {
+    return new Date(date).toLocaleDateString('en-US', {
+      month: 'long',
+      day: 'numeric',
+      year: 'numeric'
+    });
+  },
+
+  /**
+   * Link to an order's detail view
+   * @param {string} orderNumber - Order number
+   * @returns {string} URL
+   */
+  getOrderURL(orderNumber) {
+    return `order.html?number=${encodeURIComponent(orderNumber)}`;
+  }
+};
@@ -0,0 +1,368 @@
+/**
+ * His Children - Payments
+ * Card checks and a small provider interface for the checkout payment step.
+ *
+ * A provider is an object with an id, a name and three hooks, each
+ * returning a promise:
+ *   authorize(request)        Place a hold for request.amount on the card.
+ *                             Resolves { status: 'authorized' | 'requires_action' | 'declined',
+ *                             id, message, action }; 'requires_action' carries a
+ *                             challenge (e.g. 3-D Secure) the customer must answer.
+ *   confirm(payment, details) Capture an authorized payment. details.challengeApproved
+ *                             answers a challenge. Resolves { status: 'captured' | 'declined', id, message }.
+ *   fail(payment, reason)     Release a hold that won't be captured. Resolves { status: 'voided' }.
+ * Checkout only talks to Payment.pay(), so another provider can be registered
+ * and selected with Payment.use() without changing the page.
+ */
+
+const Payment = {
+  DEFAULT_PROVIDER: 'mock',
+  TIMEOUT_MS: 10000,
+
+  providers: {},
+  providerId: null,
+
+  /**
+   * Card brands, by number prefix
+   *   cvcLength  Digits in the security code
+   */
+  BRANDS: [
+    { id: 'amex', name: 'American Express', pattern: /^3[47]/, lengths: [15], cvcLength: 4 },
+    { id: 'visa', name: 'Visa', pattern: /^4/, lengths: [13, 16, 19], cvcLength: 3 },
+    { id: 'mastercard', name: 'Mastercard', pattern: /^(5[1-5]|2(2[2-9]|[3-6]\d|7[01]|720))/, lengths: [16], cvcLength: 3 },
+    { id: 'discover', name: 'Discover', pattern: /^(6011|65|64[4-9])/, lengths: [16, 19], cvcLength: 3 }
+  ],
+
+  /**
+   * Customer-facing messages for payments that didn't go through
+   */
+  FAILURE_MESSAGES: {
+    declined: 'Your card was declined. Please check the details or try another card.',
+    cancelled: "The payment wasn't verified with your bank, so nothing was charged.",
+    timeout: "We didn't hear back in time, so nothing was charged. Please try again.",
+    error: "Something went wrong taking payment, so nothing was charged. Please try again."
+  },
+
+  /**
+   * Add a payment provider
+   * @param {Object} provider - { id, name, authorize, confirm, fail }
+   */
+  register(provider) {
+    this.providers[provider.id] = provider;
+  },
+
+  /**
+   * Choose the provider checkout pays with
+   * @param {string} providerId - ID of a registered provider
+   */
+  use(providerId) {
+    if (!this.providers[providerId]) {
+      console.error('Error choosing payment provider: not registered', providerId);
+      return;
+    }
+    this.providerId = providerId;
+  },
+
+  /**
+   * Get the provider checkout pays with
+   * @returns {Object} Payment provider
+   */
+  getProvider() {
+    return this.providers[this.providerId] || this.providers[this.DEFAULT_PROVIDER];
+  },
+
+  /**
+   * Remove spaces and dashes from a card number
+   * @param {string} number - Card number as entered
+   * @returns {string} Digits only, or '' if anything else was entered
+   */
+  normalizeNumber(number) {
+    const compact = String(number || '').replace(/[\s-]/g, '');
+    return /^\d+$/.test(compact) ? compact : '';
+  },
+
+  /**
+   * Check a card number's Luhn checksum
+   * @param {string} digits - Card number digits
+   * @returns {boolean} True when the checksum is valid
+   */
+  passesLuhn(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let digit = parseInt(digits[digits.length - 1 - i], 10);
+      if (i % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    }
+    return digits.length > 0 && sum % 10 === 0;
+  },
+
+  /**
+   * Find the brand of a card number
+   * @param {string} digits - Card number digits
+   * @returns {Object|null} Brand from Payment.BRANDS, or null when unrecognized
+   */
+  getBrand(digits) {
+    return this.BRANDS.find(brand => brand.pattern.test(digits)) || null;
+  },
+
+  /**
+   * Read an expiry date
+   * @param {string} expiry - "MM/YY", "MM / YY" or "MM/YYYY"
+   * @returns {Object|null} { month, year } with a four-digit year, or null when unreadable
+   */
+  parseExpiry(expiry) {
+    const match = String(expiry || '').trim().match(/^(\d{1,2})\s*\/\s*(\d{2}|\d{4})$/);
+    if (!match) return null;
+
+    const month = parseInt(match[1], 10);
+    const year = match[2].length === 2 ? 2000 + parseInt(match[2], 10) : parseInt(match[2], 10);
+    if (month < 1 || month > 12) return null;
+    return { month, year };
+  },
+
+  /**
+   * Check the card fields
+   * Cards are good through the last day of their expiry month.
+   * @param {Object} card - { name, number, expiry, cvc } as entered
+   * @param {Date} now - Current date (for testing)
+   * @returns {Object} Errors keyed by input ID: cardName, cardNumber, cardExpiry, cardCvc
+   */
+  validateCard(card, now = new Date()) {
+    const errors = {};
+    const digits = this.normalizeNumber(card.number);
+    const brand = this.getBrand(digits);
+
+    if (!String(card.name || '').trim()) {
+      errors.cardName = 'Please enter the name on the card.';
+    }
+
+    if (!String(card.number || '').trim()) {
+      errors.cardNumber = 'Please enter a card number.';
+    } else if (!digits || digits.length < 12 || digits.length > 19 || !this.passesLuhn(digits)) {
+      errors.cardNumber = "This card number isn't valid. Please check it and try again.";
+    } else if (brand && !brand.lengths.includes(digits.length)) {
+      errors.cardNumber = `${brand.name} numbers are ${brand.lengths.join(' or ')} digits long.`;
+    }
+
+    const expiry = this.parseExpiry(card.expiry);
+    if (!String(card.expiry || '').trim()) {
+      errors.cardExpiry = 'Please enter the expiry date.';
+    } else if (!expiry) {
+      errors.cardExpiry = 'Please enter the expiry date as MM/YY.';
+    } else if (expiry.year * 12 + expiry.month < now.getFullYear() * 12 + now.getMonth() + 1) {
+      errors.cardExpiry = 'This card has expired.';
+    } else if (expiry.year > now.getFullYear() + 20) {
+      errors.cardExpiry = 'Please check the expiry year.';
+    }
+
+    const cvcLength = brand ? brand.cvcLength : 3;
+    const cvc = String(card.cvc || '').trim();
+    if (!cvc) {
+      errors.cardCvc = 'Please enter the security code.';
+    } else if (!new RegExp(`^\\d{${cvcLength}}$`).test(cvc)) {
+      errors.cardCvc = `The security code is ${cvcLength} digits.`;
+    }
+
+    return errors;
+  },
+
+  /**
+   * Take a payment with the current provider
+   * Authorizes, answers any challenge through onChallenge, then confirms.
+   * A hold that won't be captured is released with the provider's fail hook.
+   * @param {Object} details - { amount, currency, card: { name, number, expiry, cvc } }
+   * @param {Object} hooks - { onChallenge(action) } returning a promise of true when the
+   *   customer completes the challenge
+   * @returns {Promise<Object>} { status: 'paid' | 'declined' | 'cancelled' | 'timeout' | 'error',
+   *   payment, message } where payment is the record to keep on the order
+   */
+  async pay(details, hooks = {}) {
+    const provider = this.getProvider();
+    const digits = this.normalizeNumber(details.card.number);
+    const brand = this.getBrand(digits);
+    const expiry = this.parseExpiry(details.card.expiry);
+    const request = {
+      reference: `pay_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      amount: Math.round(details.amount * 100) / 100,
+      currency: details.currency || 'USD',
+      card: {
+        name: details.card.name.trim(),
+        number: digits,
+        expMonth: expiry.month,
+        expYear: expiry.year,
+        cvc: String(details.card.cvc).trim()
+      }
+    };
+    const record = {
+      provider: provider.id,
+      reference: request.reference,
+      id: null,
+      status: 'pending',
+      amount: request.amount,
+      currency: request.currency,
+      brand: brand ? brand.name : 'Card',
+      last4: digits.slice(-4),
+      expMonth: expiry.month,
+      expYear: expiry.year,
+      date: null
+    };
+    let payment = { reference: request.reference };
+
+    try {
+      payment = Object.assign(payment, await this.withTimeout(provider.authorize(request)));
+      record.id = payment.id || null;
+
+      let challengeApproved = null;
+      if (payment.status === 'requires_action') {
+        challengeApproved = Boolean(hooks.onChallenge && await hooks.onChallenge(payment.action));
+        if (!challengeApproved) {
+          await provider.fail(payment, 'challenge_cancelled');
+          return this.failure('cancelled', record);
+        }
+      } else if (payment.status !== 'authorized') {
+        return this.failure('declined', record, payment.message);
+      }
+
+      const result = await this.withTimeout(provider.confirm(payment, { challengeApproved }));
+      if (result.status !== 'captured') {
+        try {
+          await provider.fail(payment, 'declined');
+        } catch (failError) {
+          console.error('Error releasing payment:', failError);
+        }
+        return this.failure('declined', record, result.message);
+      }
+
+      record.status = 'captured';
+      record.date = new Date().toISOString();
+      return { status: 'paid', payment: record, message: '' };
+    } catch (e) {
+      const status = e && e.name === 'PaymentTimeout' ? 'timeout' : 'error';
+      if (status === 'error') console.error('Error taking payment:', e);
+      try {
+        await provider.fail(payment, status);
+      } catch (failError) {
+        console.error('Error releasing payment:', failError);
+      }
+      return this.failure(status, record);
+    }
+  },
+
+  /**
+   * Build the result for a payment that didn't go through
+   * @param {string} status - 'declined', 'cancelled', 'timeout' or 'error'
+   * @param {Object} record - Payment record
+   * @param {string} message - Provider's reason (optional)
+   * @returns {Object} { status, payment, message }
+   */
+  failure(status, record, message) {
+    record.status = status === 'declined' ? 'declined' : 'failed';
+    return { status, payment: record, message: message || this.FAILURE_MESSAGES[status] };
+  },
+
+  /**
+   * Reject if a provider call takes longer than Payment.TIMEOUT_MS
+   * @param {Promise} promise - Provider call
+   * @returns {Promise} The call's result
+   */
+  withTimeout(promise) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error('Payment provider timed out');
+        error.name = 'PaymentTimeout';
+        reject(error);
+      }, this.TIMEOUT_MS);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+};
+
+/**
+ * Local stand-in for a card processor
+ * Outcomes are decided by the card number, so every path can be tried:
+ *   4242 4242 4242 4242  Approved (as is any other valid number)
+ *   4000 0000 0000 0002  Declined
+ *   4000 0000 0000 9995  Declined for insufficient funds
+ *   4000 0000 0000 3220  Asks for a 3-D Secure check first
+ *   4000 0000 0000 0119  Never answers, so checkout times out
+ */
+const MockPaymentProvider = {
+  id: 'mock',
+  name: 'Test payments',
+  DELAY_MS: 600,
+
+  TEST_CARDS: {
+    '4000000000000002': { outcome: 'declined', message: 'Your card was declined.' },
+    '4000000000009995': { outcome: 'declined', message: "Your card doesn't have enough funds for this order." },
+    '4000000000003220': { outcome: 'challenge' },
+    '4000000000000119': { outcome: 'timeout' }
+  },
+
+  payments: {},
+
+  /**
+   * Wait like a network call would
+   * @param {Object} value - Value to resolve with
+   * @param {number} delay - Milliseconds to wait
+   * @returns {Promise<Object>} The value
+   */
+  respond(value, delay = this.DELAY_MS) {
+    return new Promise(resolve => setTimeout(() => resolve(value), delay));
+  },
+
+  /**
+   * Authorize a payment (see the provider hooks at the top of this file)
+   * @param {Object} request - { reference, amount, currency, card }
+   * @returns {Promise<Object>} { status, id, message, action }
+   */
+  authorize(request) {
+    const test = this.TEST_CARDS[request.card.number] || { outcome: 'approved' };
+    const id = `mock_${request.reference}`;
+
+    if (test.outcome === 'timeout') return new Promise(() => {});
+    if (test.outcome === 'declined') {
+      return this.respond({ status: 'declined', id, message: test.message });
+    }
+
+    this.payments[id] = { status: test.outcome === 'challenge' ? 'requires_action' : 'authorized', amount: request.amount };
+    if (test.outcome === 'challenge') {
+      return this.respond({
+        status: 'requires_action',
+        id,
+        action: { type: 'three_d_secure', message: 'Your bank wants to confirm this payment.' }
+      });
+    }
+    return this.respond({ status: 'authorized', id });
+  },
+
+  /**
+   * Capture an authorized payment
+   * @param {Object} payment - Result of authorize()
+   * @param {Object} details - { challengeApproved }
+   * @returns {Promise<Object>} { status, id, message }
+   */
+  confirm(payment, details = {}) {
+    const held = this.payments[payment.id];
+    if (!held || (held.status === 'requires_action' && !details.challengeApproved)) {
+      return this.respond({ status: 'declined', id: payment.id, message: 'This payment could not be confirmed.' });
+    }
+    held.status = 'captured';
+    return this.respond({ status: 'captured', id: payment.id });
+  },
+
+  /**
+   * Release a payment's hold
+   * @param {Object} payment - Result of authorize(), or { reference } if it never answered
+   * @returns {Promise<Object>} { status: 'voided', id }
+   */
+  fail(payment) {
+    if (payment.id && this.payments[payment.id]) this.payments[payment.id].status = 'voided';
+    return this.respond({ status: 'voided', id: payment.id || null }, 0);
+  }
+};
+
+Payment.register(MockPaymentProvider);
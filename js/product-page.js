@@ -0,0 +1,216 @@
+/**
+ * His Children - Product Page
+ * Variant picker, quantity selector and add-to-cart behaviour shared by product.html
+ * and the generated products/*.html pages
+ * The carousels use js/recommendations.js, so load it first.
+ */
+
+const ProductPage = {
+  productId: null,
+  variantSku: null,
+  basePath: '',
+
+  /**
+   * Attach the page to a product
+   * @param {string} productId - Product ID
+   * @param {string} basePath - Base path to the site root
+   */
+  init(productId, basePath = '') {
+    this.productId = productId;
+    this.variantSku = null;
+    this.basePath = basePath;
+  },
+
+  /**
+   * Show the variant picker and current price once the catalog has loaded
+   */
+  render() {
+    const product = getProduct(this.productId);
+    if (!product) return;
+
+    this.renderVariantPicker(product);
+    this.selectVariant(hasVariants(product) ? product.variants[0].sku : null);
+    this.renderRecommendations();
+    Analytics.track('product_view', {
+      item: Analytics.describeItem(Object.assign({}, product, { price: getEffectivePrice(product) }), 1)
+    });
+  },
+
+  /**
+   * Record the view and fill the "You may also like" and recently viewed carousels
+   */
+  renderRecommendations() {
+    Recommendations.recordView(this.productId);
+    Recommendations.renderCarousel('relatedProducts', Recommendations.recommend([this.productId]), this.basePath);
+    Recommendations.renderCarousel('recentlyViewed', Recommendations.getRecentlyViewed({ exclude: [this.productId] }), this.basePath);
+  },
+
+  /**
+   * Fill the variant picker, or keep it hidden for single-SKU products
+   * @param {Object} product - Product object
+   */
+  renderVariantPicker(product) {
+    const picker = document.getElementById('variantPicker');
+    if (!picker) return;
+
+    if (!hasVariants(product)) {
+      picker.style.display = 'none';
+      return;
+    }
+
+    const optionNames = Object.keys(product.variants[0].options);
+    document.getElementById('variantLabel').textContent = optionNames
+      .map(name => name.charAt(0).toUpperCase() + name.slice(1))
+      .join(' / ');
+
+    const select = document.getElementById('variant');
+    select.innerHTML = '';
+    product.variants.forEach(variant => {
+      const option = document.createElement('option');
+      option.value = variant.sku;
+      option.textContent = Object.values(variant.options).join(' / ');
+      select.appendChild(option);
+    });
+
+    picker.style.display = '';
+  },
+
+  /**
+   * Choose a variant and show its price and image
+   * @param {string|null} sku - Variant SKU, or null for products without variants
+   */
+  selectVariant(sku) {
+    const product = getProduct(this.productId);
+    if (!product) return;
+
+    const variant = sku ? getVariant(product, sku) : null;
+    const purchasable = applyVariant(product, variant);
+    this.variantSku = variant ? variant.sku : null;
+
+    document.getElementById('productPrice').innerHTML = renderPriceHTML(purchasable);
+    this.renderStock(product, variant);
+
+    const image = document.getElementById('productImage');
+    if (image) image.src = this.basePath + purchasable.image;
+
+    const select = document.getElementById('variant');
+    if (select && variant) select.value = variant.sku;
+
+    this.renderWishlistButton();
+  },
+
+  /**
+   * Show whether the current selection is on the wishlist
+   */
+  renderWishlistButton() {
+    const button = document.getElementById('wishlistBtn');
+    if (!button) return;
+
+    const saved = Wishlist.has(this.productId, this.variantSku);
+    button.textContent = saved ? 'Saved to Wishlist ♥' : 'Save to Wishlist';
+    button.setAttribute('aria-pressed', saved ? 'true' : 'false');
+    button.classList.toggle('is-saved', saved);
+  },
+
+  /**
+   * Save or unsave the current selection
+   */
+  toggleWishlist() {
+    const product = getProduct(this.productId);
+    if (!product) return;
+
+    Wishlist.toggle(product, this.variantSku);
+    this.renderWishlistButton();
+  },
+
+  /**
+   * Show the stock status and keep the quantity within what can be ordered
+   * @param {Object} product - Product object
+   * @param {Object|null} variant - Selected variant
+   */
+  renderStock(product, variant) {
+    const soldOut = getStockStatus(product, variant) === 'sold_out';
+    const button = document.getElementById('addToCartBtn');
+
+    this.showStockMessage(renderStockHTML(product, variant));
+    if (button) {
+      button.disabled = soldOut;
+      button.textContent = soldOut ? 'Sold Out' : 'Add to Cart';
+    }
+    this.setQuantity(this.getQuantity());
+  },
+
+  /**
+   * Show a message in the stock area
+   * @param {Object|string} markup - Message markup
+   */
+  showStockMessage(markup) {
+    const stockEl = document.getElementById('productStock');
+    if (stockEl) stockEl.innerHTML = markup;
+  },
+
+  /**
+   * Get the most that can be ordered of the current selection
+   * @returns {number} Maximum quantity
+   */
+  getMaxQuantity() {
+    const product = getProduct(this.productId);
+    if (!product) return DEFAULT_MAX_PER_ORDER;
+    return getMaxOrderQuantity(product, this.variantSku ? getVariant(product, this.variantSku) : null);
+  },
+
+  /**
+   * Get the quantity currently selected
+   * @returns {number} Selected quantity
+   */
+  getQuantity() {
+    return parseInt(document.getElementById('quantity').value) || 1;
+  },
+
+  /**
+   * Set the selected quantity, kept between 1 and the most that can be ordered
+   * @param {number} quantity - New quantity
+   */
+  setQuantity(quantity) {
+    const input = document.getElementById('quantity');
+    const max = Math.max(this.getMaxQuantity(), 1);
+    input.max = max;
+    input.value = Math.min(Math.max(quantity, 1), max);
+  },
+
+  incrementQty() {
+    this.setQuantity(this.getQuantity() + 1);
+  },
+
+  decrementQty() {
+    this.setQuantity(this.getQuantity() - 1);
+  },
+
+  /**
+   * Add the selected quantity to the cart and go to the cart page
+   * Stays on the page with an explanation when nothing could be added.
+   */
+  addToCart() {
+    const product = getProduct(this.productId);
+    if (!product) return;
+
+    const result = Cart.addItem(product, this.getQuantity(), this.variantSku);
+
+    if (result.status === 'no_variant') {
+      this.showStockMessage('Please choose an option before adding to your cart.');
+      return;
+    }
+    if (result.status === 'sold_out') {
+      this.showStockMessage('<span class="stock-badge stock-badge--sold-out">Sold out</span>');
+      return;
+    }
+    // A clamped add still put some units in the cart, but fewer than asked for
+    if (result.status === 'limit_reached' || result.status === 'clamped') {
+      const added = result.status === 'clamped' ? `Only ${result.added} added. ` : '';
+      this.showStockMessage(html`${added}Your cart already holds the most we can send in one order (${result.available}).`);
+      return;
+    }
+
+    window.location.href = `${this.basePath}cart.html`;
+  }
+};
@@ -0,0 +1,174 @@
+/**
+ * His Children - Recommendations
+ * Recently viewed products and the "You may also like" carousels on product
+ * pages, cart.html and success.html. Views are kept in localStorage; picks are
+ * ranked from the catalog and the saved order history.
+ */
+
+const Recommendations = {
+  RECENT_KEY: 'hischildren_recently_viewed',
+  RECENT_LIMIT: 12,
+
+  /**
+   * How much each signal adds to a product's score, per product it relates to
+   *   collection  Same collection
+   *   priceBand   Price within PRICE_BAND of the other product's price
+   *   orders      Each saved order that held both products
+   */
+  WEIGHTS: {
+    collection: 3,
+    priceBand: 2,
+    orders: 4
+  },
+
+  PRICE_BAND: 0.35,
+
+  /**
+   * Get recently viewed product IDs, most recent first
+   * @returns {Array} Product IDs
+   */
+  getRecentIds() {
+    const { value } = Cart.readStorage(this.RECENT_KEY);
+    if (!Array.isArray(value)) return [];
+    return value
+      .filter(entry => entry && typeof entry.id === 'string')
+      .map(entry => entry.id);
+  },
+
+  /**
+   * Record that a product page was viewed
+   * A product viewed again moves to the front; the list keeps RECENT_LIMIT entries.
+   * @param {string} productId - Product ID
+   */
+  recordView(productId) {
+    const { value } = Cart.readStorage(this.RECENT_KEY);
+    const entries = (Array.isArray(value) ? value : [])
+      .filter(entry => entry && entry.id !== productId);
+    entries.unshift({ id: productId, viewedAt: new Date().toISOString() });
+
+    try {
+      localStorage.setItem(this.RECENT_KEY, JSON.stringify(entries.slice(0, this.RECENT_LIMIT)));
+    } catch (e) {
+      console.error('Error saving recently viewed:', e);
+    }
+  },
+
+  /**
+   * Get recently viewed products that are still in the catalog
+   * @param {Object} options - { exclude: product IDs to leave out, limit }
+   * @returns {Array} Product objects, most recent first
+   */
+  getRecentlyViewed({ exclude = [], limit = 8 } = {}) {
+    return this.getRecentIds()
+      .filter(id => !exclude.includes(id))
+      .map(id => getProduct(id))
+      .filter(Boolean)
+      .slice(0, limit);
+  },
+
+  /**
+   * Get the products in a list of cart or order lines
+   * Bundle lines count each of their components.
+   * @param {Array} items - Cart or order items
+   * @returns {Array} Product IDs, without repeats
+   */
+  getItemProductIds(items) {
+    const ids = [];
+    items.forEach(item => {
+      const lineIds = Array.isArray(item.components) ? item.components.map(c => c.id) : [item.id];
+      lineIds.forEach(id => {
+        if (!ids.includes(id)) ids.push(id);
+      });
+    });
+    return ids;
+  },
+
+  /**
+   * Count how often each product was ordered together with the given products
+   * @param {Array} productIds - Product IDs to look for
+   * @returns {Map} Product ID -> number of saved orders that held it alongside one of productIds
+   */
+  getOrderCounts(productIds) {
+    const counts = new Map();
+    Cart.getOrders().forEach(order => {
+      const ids = this.getItemProductIds(order.items || []);
+      if (!ids.some(id => productIds.includes(id))) return;
+      ids.forEach(id => counts.set(id, (counts.get(id) || 0) + 1));
+    });
+    return counts;
+  },
+
+  /**
+   * Rank products related to a set of products
+   * Related products share a collection, sit in a similar price band or were
+   * ordered together before. Items already in the cart, sold-out products and
+   * the given products themselves are left out.
+   * @param {Array} productIds - Products to find related products for
+   * @param {Object} options - { exclude: more product IDs to leave out, limit }
+   * @returns {Array} Product objects, best match first (ties keep featured, then catalog order)
+   */
+  recommend(productIds, { exclude = [], limit = 4 } = {}) {
+    const seeds = productIds.map(id => getProduct(id)).filter(Boolean);
+    if (seeds.length === 0) return [];
+
+    const skip = new Set(productIds.concat(exclude, this.getItemProductIds(Cart.getItems())));
+    const orderCounts = this.getOrderCounts(productIds);
+
+    return getAllProducts()
+      .filter(product => !skip.has(product.id) && getStockStatus(product) !== 'sold_out')
+      .map((product, position) => ({ product, position, score: this.score(product, seeds, orderCounts) }))
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score ||
+        Number(Boolean(b.product.featured)) - Number(Boolean(a.product.featured)) ||
+        a.position - b.position)
+      .slice(0, limit)
+      .map(entry => entry.product);
+  },
+
+  /**
+   * Score how closely a product relates to a set of products
+   * @param {Object} product - Candidate product
+   * @param {Array} seeds - Products to compare against
+   * @param {Map} orderCounts - Result of getOrderCounts()
+   * @returns {number} Score, 0 when unrelated
+   */
+  score(product, seeds, orderCounts) {
+    const price = getEffectivePrice(product);
+    let score = (orderCounts.get(product.id) || 0) * this.WEIGHTS.orders;
+
+    seeds.forEach(seed => {
+      if (seed.collectionSlug === product.collectionSlug) score += this.WEIGHTS.collection;
+      const seedPrice = getEffectivePrice(seed);
+      if (Math.abs(price - seedPrice) <= seedPrice * this.PRICE_BAND) score += this.WEIGHTS.priceBand;
+    });
+
+    return score;
+  },
+
+  /**
+   * Fill a carousel with product cards, or hide its section when there are none
+   * The carousel's track has the given ID and sits inside a [data-carousel-section].
+   * @param {string} trackId - ID of the carousel track
+   * @param {Array} products - Products to show
+   * @param {string} basePath - Base path for links and images
+   */
+  renderCarousel(trackId, products, basePath = '') {
+    const track = document.getElementById(trackId);
+    if (!track) return;
+
+    track.innerHTML = products.map(product => renderProductCard(product, basePath)).join('');
+    const section = track.closest('[data-carousel-section]');
+    if (section) section.style.display = products.length > 0 ? '' : 'none';
+  },
+
+  /**
+   * Scroll a carousel by about one view
+   * @param {string} trackId - ID of the carousel track
+   * @param {number} direction - 1 for forward, -1 for back
+   */
+  scroll(trackId, direction) {
+    const track = document.getElementById(trackId);
+    if (!track) return;
+    track.scrollBy({ left: direction * track.clientWidth * 0.9, behavior: 'smooth' });
+  }
+};
@@ -0,0 +1,294 @@
+/**
+ * His Children - Catalog Search
+ * In-browser index over product names, descriptions and collections,
+ * with typo-tolerant matching, filters, sorting and URL state for search.html
+ */
+
+const Search = {
+  /**
+   * How much a match in each field counts toward a result's score
+   */
+  FIELD_WEIGHTS: {
+    name: 4,
+    collection: 3,
+    shortDescription: 2,
+    longDescription: 1
+  },
+
+  SORTS: {
+    relevance: 'Best match',
+    featured: 'Featured',
+    'price-asc': 'Price: low to high',
+    'price-desc': 'Price: high to low',
+    name: 'Name: A to Z'
+  },
+
+  STOP_WORDS: ['a', 'an', 'and', 'the', 'of', 'to', 'in', 'for', 'with', 'on', 'is', 'it', 'as', 'by', 'or', 'that', 'this', 'are', 'be', 'not', 'but', 'from'],
+
+  index: null,
+
+  /**
+   * Build the search index from the loaded catalog
+   * @param {Array} products - Products to index (defaults to every product)
+   * @returns {Array} Index entries of { product, terms } where terms maps each word to its best field weight
+   */
+  buildIndex(products = getAllProducts()) {
+    this.index = products.map(product => {
+      const terms = new Map();
+      Object.keys(this.FIELD_WEIGHTS).forEach(field => {
+        this.tokenize(product[field]).forEach(term => {
+          terms.set(term, Math.max(terms.get(term) || 0, this.FIELD_WEIGHTS[field]));
+        });
+      });
+      return { product, terms };
+    });
+    return this.index;
+  },
+
+  /**
+   * Split text into lower-case search terms
+   * @param {string} text - Text to split
+   * @returns {Array} Terms, without stop words or stray single letters
+   */
+  tokenize(text) {
+    return this.normalize(text)
+      .split(/[^a-z0-9]+/)
+      .filter(term => (term.length > 1 || /\d/.test(term)) && !this.STOP_WORDS.includes(term));
+  },
+
+  /**
+   * Lower-case text and strip accents
+   * @param {string} text - Text to normalize
+   * @returns {string} Normalized text
+   */
+  normalize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '');
+  },
+
+  /**
+   * Number of typos allowed for a query term of a given length
+   * @param {number} length - Query term length
+   * @returns {number} Allowed edits
+   */
+  getAllowedTypos(length) {
+    if (length <= 3) return 0;
+    if (length <= 6) return 1;
+    return 2;
+  },
+
+  /**
+   * Edit distance between two words, counting a swap of neighbouring letters as one edit
+   * Gives up early once the distance is over the limit.
+   * @param {string} a - First word
+   * @param {string} b - Second word
+   * @param {number} limit - Largest distance worth measuring
+   * @returns {number} Distance, or limit + 1 when further apart than the limit
+   */
+  editDistance(a, b, limit) {
+    if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+    let previous2 = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          value = Math.min(value, previous2[j - 2] + 1);
+        }
+        current.push(value);
+        rowMin = Math.min(rowMin, value);
+      }
+      if (rowMin > limit) return limit + 1;
+      previous2 = previous;
+      previous = current;
+    }
+
+    return previous[b.length];
+  },
+
+  /**
+   * Score how well one query term matches a product's terms
+   * Exact words score highest, then words the query starts, then close typos.
+   * @param {string} queryTerm - Normalized query term
+   * @param {Map} terms - Product terms and their field weights
+   * @returns {Object|null} { score, terms } with the product words that matched, or null
+   */
+  matchTerm(queryTerm, terms) {
+    const allowed = this.getAllowedTypos(queryTerm.length);
+    let score = 0;
+    const matched = [];
+
+    terms.forEach((weight, term) => {
+      let termScore = 0;
+      if (term === queryTerm) {
+        termScore = weight * 3;
+      } else if (queryTerm.length >= 2 && term.startsWith(queryTerm)) {
+        termScore = weight * 2;
+      } else if (allowed > 0) {
+        const distance = this.editDistance(queryTerm, term, allowed);
+        if (distance <= allowed) termScore = weight / (1 + distance);
+      }
+
+      if (termScore > 0) {
+        matched.push(term);
+        score = Math.max(score, termScore);
+      }
+    });
+
+    return matched.length > 0 ? { score, terms: matched } : null;
+  },
+
+  /**
+   * Search the catalog
+   * Every query term must match; filters and sorting apply afterwards.
+   * @param {Object} state - { q, collection, min, max, sale, sort } as read by readState()
+   * @returns {Array} Results of { product, score, terms }
+   */
+  search(state) {
+    if (!this.index) this.buildIndex();
+
+    const queryTerms = this.tokenize(state.q);
+    let results = this.index.map(entry => {
+      let score = 0;
+      const terms = [];
+      for (const queryTerm of queryTerms) {
+        const match = this.matchTerm(queryTerm, entry.terms);
+        if (!match) return null;
+        score += match.score;
+        terms.push(...match.terms);
+      }
+      return { product: entry.product, score, terms };
+    }).filter(Boolean);
+
+    results = results.filter(result => this.matchesFilters(result.product, state));
+    return this.sortResults(results, state.sort || (queryTerms.length > 0 ? 'relevance' : 'featured'));
+  },
+
+  /**
+   * Check a product against the collection, price and sale filters
+   * The price range is in the shopper's currency, so it's compared with the
+   * price the product card shows.
+   * @param {Object} product - Product object
+   * @param {Object} state - Search state
+   * @returns {boolean} True when the product passes every filter
+   */
+  matchesFilters(product, state) {
+    const price = Currency.convert(getEffectivePrice(product));
+    if (state.collection && product.collectionSlug !== state.collection) return false;
+    if (state.min !== null && price < state.min) return false;
+    if (state.max !== null && price > state.max) return false;
+    if (state.sale && !isOnSale(product)) return false;
+    return true;
+  },
+
+  /**
+   * Order search results
+   * Ties keep catalog order.
+   * @param {Array} results - Search results
+   * @param {string} sort - Key of Search.SORTS
+   * @returns {Array} Sorted results
+   */
+  sortResults(results, sort) {
+    const compare = {
+      relevance: (a, b) => b.score - a.score,
+      featured: (a, b) => Number(Boolean(b.product.featured)) - Number(Boolean(a.product.featured)),
+      'price-asc': (a, b) => getEffectivePrice(a.product) - getEffectivePrice(b.product),
+      'price-desc': (a, b) => getEffectivePrice(b.product) - getEffectivePrice(a.product),
+      name: (a, b) => a.product.name.localeCompare(b.product.name)
+    }[sort] || (() => 0);
+
+    return results
+      .map((result, position) => ({ result, position }))
+      .sort((a, b) => compare(a.result, b.result) || a.position - b.position)
+      .map(entry => entry.result);
+  },
+
+  /**
+   * Read the search state from a query string
+   * @param {string} queryString - e.g. window.location.search
+   * @returns {Object} { q, collection, min, max, sale, sort }
+   */
+  readState(queryString) {
+    const params = new URLSearchParams(queryString);
+    const toPrice = value => {
+      const number = parseFloat(value);
+      return isFinite(number) && number >= 0 ? number : null;
+    };
+    const sort = params.get('sort');
+
+    return {
+      q: (params.get('q') || '').trim(),
+      collection: params.get('collection') || '',
+      min: toPrice(params.get('min')),
+      max: toPrice(params.get('max')),
+      sale: params.get('sale') === '1',
+      sort: this.SORTS[sort] ? sort : ''
+    };
+  },
+
+  /**
+   * Write the search state as a query string, leaving out defaults
+   * @param {Object} state - Search state
+   * @returns {string} Query string starting with "?", or '' when nothing is set
+   */
+  toQueryString(state) {
+    const params = new URLSearchParams();
+    if (state.q) params.set('q', state.q);
+    if (state.collection) params.set('collection', state.collection);
+    if (state.min !== null) params.set('min', state.min);
+    if (state.max !== null) params.set('max', state.max);
+    if (state.sale) params.set('sale', '1');
+    if (state.sort) params.set('sort', state.sort);
+
+    const query = params.toString();
+    return query ? `?${query}` : '';
+  },
+
+  /**
+   * Wrap the words that matched the query in <mark>
+   * @param {string} text - Plain text
+   * @param {Array} terms - Normalized product terms that matched
+   * @returns {string} HTML string with the text escaped
+   */
+  highlight(text, terms) {
+    const matched = new Set(terms);
+    return String(text || '').split(/([A-Za-z0-9\u00C0-\u024F]+)/).map((part, index) => {
+      const escaped = escapeHTML(part);
+      const isWord = index % 2 === 1;
+      return isWord && matched.has(this.normalize(part)) ? `<mark>${escaped}</mark>` : escaped;
+    }).join('');
+  },
+
+  /**
+   * Pick a short piece of a product's description around the first matched word
+   * @param {Object} product - Product object
+   * @param {Array} terms - Normalized product terms that matched
+   * @param {number} length - Rough length of the snippet in characters
+   * @returns {string} Plain-text snippet
+   */
+  getSnippet(product, terms, length = 140) {
+    const texts = [product.shortDescription, product.longDescription].filter(Boolean);
+    for (const text of texts) {
+      const normalized = this.normalize(text);
+      const position = terms
+        .map(term => normalized.search(new RegExp(`(^|[^a-z0-9])${term}($|[^a-z0-9])`)))
+        .filter(index => index >= 0)
+        .sort((a, b) => a - b)[0];
+
+      if (position === undefined) continue;
+      if (text.length <= length) return text;
+
+      const start = Math.max(0, position - Math.floor(length / 3));
+      const snippet = text.slice(start, start + length).trim();
+      return `${start > 0 ? '…' : ''}${snippet}${start + length < text.length ? '…' : ''}`;
+    }
+    return product.shortDescription || '';
+  }
+};
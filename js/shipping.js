@@ -0,0 +1,116 @@
+/**
+ * His Children - Shipping
+ * Shipping methods, rates and free-shipping rules shared by the cart,
+ * checkout and saved orders
+ */
+
+const Shipping = {
+  DEFAULT_METHOD: 'standard',
+
+  /**
+   * Shipping methods, in the order they are offered
+   *   rate      Cost in dollars
+   *   freeOver  Merchandise total (after discounts) that ships free, or null
+   */
+  METHODS: [
+    {
+      id: 'standard',
+      name: 'Standard Shipping',
+      time: '5-7 business days',
+      rate: 8.95,
+      freeOver: 75
+    },
+    {
+      id: 'express',
+      name: 'Express Shipping',
+      time: '2-3 business days',
+      rate: 14.95,
+      freeOver: null
+    }
+  ],
+
+  /**
+   * Zones that change the method rules for some states
+   * Each override replaces fields of the matching method.
+   */
+  ZONES: [
+    {
+      id: 'non-contiguous',
+      name: 'Alaska & Hawaii',
+      states: ['AK', 'HI'],
+      methods: {
+        standard: { rate: 18.95, freeOver: 150, time: '7-12 business days' },
+        express: { rate: 34.95, time: '3-5 business days' }
+      }
+    }
+  ],
+
+  /**
+   * Find the zone for a state
+   * @param {string} state - Two-letter state code
+   * @returns {Object|null} Zone or null for the default rules
+   */
+  getZone(state) {
+    if (!state) return null;
+    return this.ZONES.find(zone => zone.states.includes(state)) || null;
+  },
+
+  /**
+   * Get the shipping methods available to a state, with zone rules applied
+   * @param {string} state - Two-letter state code (optional)
+   * @returns {Array} Shipping methods
+   */
+  getMethods(state) {
+    const zone = this.getZone(state);
+    return this.METHODS.map(method => {
+      const override = zone && zone.methods[method.id];
+      return Object.assign({}, method, override || {});
+    });
+  },
+
+  /**
+   * Get a shipping method by ID, falling back to the default method
+   * @param {string} methodId - Shipping method ID
+   * @param {string} state - Two-letter state code (optional)
+   * @returns {Object} Shipping method
+   */
+  getMethod(methodId, state) {
+    const methods = this.getMethods(state);
+    return methods.find(m => m.id === methodId) ||
+      methods.find(m => m.id === this.DEFAULT_METHOD);
+  },
+
+  /**
+   * Price shipping for an order
+   * @param {string} methodId - Shipping method ID
+   * @param {number} merchandise - Merchandise total after discounts
+   * @param {string} state - Two-letter state code (optional)
+   * @returns {Object} { method, name, time, cost, free, freeOver, state }
+   */
+  quote(methodId, merchandise, state) {
+    const method = this.getMethod(methodId, state);
+    const qualifiesForFree = method.freeOver !== null && merchandise >= method.freeOver;
+    const cost = merchandise > 0 && !qualifiesForFree ? method.rate : 0;
+
+    return {
+      method: method.id,
+      name: method.name,
+      time: method.time,
+      cost,
+      free: merchandise > 0 && cost === 0,
+      freeOver: method.freeOver,
+      state: state || null
+    };
+  },
+
+  /**
+   * Describe the free-shipping offer for the default method
+   * @param {string} state - Two-letter state code (optional)
+   * @returns {string} e.g. "Free standard shipping on orders over $75"
+   */
+  getFreeShippingMessage(state) {
+    const method = this.getMethod(this.DEFAULT_METHOD, state);
+    if (method.freeOver === null) return '';
+    return `Free ${method.name.toLowerCase()} on orders over ${Cart.formatPrice(method.freeOver).replace('.00', '')}`;
+  }
+};
@@ -0,0 +1,128 @@
+/**
+ * His Children - Sales Tax
+ * Estimated sales tax by state, with combined local rates for some ZIP prefixes.
+ * Cart.getTotals() takes the rate table as an input, so checkout can pass a different one.
+ */
+
+const Tax = {
+  /**
+   * Rates keyed by two-letter state code
+   *   rate             Percent charged on merchandise after discounts
+   *   shippingTaxable  Whether the shipping charge is taxed too
+   *   zips             Combined state and local rates by ZIP prefix (optional);
+   *                    the longest matching prefix wins
+   */
+  RATES: {
+    AL: { rate: 4, shippingTaxable: false },
+    AK: { rate: 0, shippingTaxable: false },
+    AZ: { rate: 5.6, shippingTaxable: false },
+    AR: { rate: 6.5, shippingTaxable: true },
+    CA: { rate: 7.25, shippingTaxable: false, zips: { '900': 9.5, '941': 8.625 } },
+    CO: { rate: 2.9, shippingTaxable: false },
+    CT: { rate: 6.35, shippingTaxable: true },
+    DE: { rate: 0, shippingTaxable: false },
+    FL: { rate: 6, shippingTaxable: false },
+    GA: { rate: 4, shippingTaxable: true },
+    HI: { rate: 4, shippingTaxable: true },
+    ID: { rate: 6, shippingTaxable: false },
+    IL: { rate: 6.25, shippingTaxable: false, zips: { '606': 10.25 } },
+    IN: { rate: 7, shippingTaxable: true },
+    IA: { rate: 6, shippingTaxable: false },
+    KS: { rate: 6.5, shippingTaxable: true },
+    KY: { rate: 6, shippingTaxable: true },
+    LA: { rate: 4.45, shippingTaxable: false },
+    ME: { rate: 5.5, shippingTaxable: false },
+    MD: { rate: 6, shippingTaxable: false },
+    MA: { rate: 6.25, shippingTaxable: false },
+    MI: { rate: 6, shippingTaxable: true },
+    MN: { rate: 6.875, shippingTaxable: true },
+    MS: { rate: 7, shippingTaxable: true },
+    MO: { rate: 4.225, shippingTaxable: false },
+    MT: { rate: 0, shippingTaxable: false },
+    NE: { rate: 5.5, shippingTaxable: true },
+    NV: { rate: 6.85, shippingTaxable: false },
+    NH: { rate: 0, shippingTaxable: false },
+    NJ: { rate: 6.625, shippingTaxable: true },
+    NM: { rate: 4.875, shippingTaxable: true },
+    NY: { rate: 4, shippingTaxable: true, zips: { '100': 8.875, '101': 8.875, '102': 8.875, '103': 8.875, '104': 8.875, '112': 8.875, '113': 8.875, '114': 8.875 } },
+    NC: { rate: 4.75, shippingTaxable: true },
+    ND: { rate: 5, shippingTaxable: true },
+    OH: { rate: 5.75, shippingTaxable: true },
+    OK: { rate: 4.5, shippingTaxable: false },
+    OR: { rate: 0, shippingTaxable: false },
+    PA: { rate: 6, shippingTaxable: true, zips: { '191': 8 } },
+    RI: { rate: 7, shippingTaxable: true },
+    SC: { rate: 6, shippingTaxable: true },
+    SD: { rate: 4.2, shippingTaxable: true },
+    TN: { rate: 7, shippingTaxable: true, zips: { '372': 9.25 } },
+    TX: { rate: 6.25, shippingTaxable: true, zips: { '750': 8.25, '770': 8.25, '787': 8.25 } },
+    UT: { rate: 6.1, shippingTaxable: false },
+    VT: { rate: 6, shippingTaxable: true },
+    VA: { rate: 5.3, shippingTaxable: false },
+    WA: { rate: 6.5, shippingTaxable: true, zips: { '981': 10.35 } },
+    WV: { rate: 6, shippingTaxable: true },
+    WI: { rate: 5, shippingTaxable: true },
+    WY: { rate: 4, shippingTaxable: false }
+  },
+
+  /**
+   * Find the rate that applies to an address
+   * @param {string} state - Two-letter state code
+   * @param {string} zip - ZIP code (optional)
+   * @param {Object} rates - Rate table (defaults to Tax.RATES)
+   * @returns {Object|null} { rate, shippingTaxable, zipPrefix } or null when the state is unknown
+   */
+  getRate(state, zip, rates = this.RATES) {
+    const entry = state ? rates[state] : null;
+    if (!entry) return null;
+
+    const digits = String(zip || '').replace(/\D/g, '');
+    const zipPrefix = Object.keys(entry.zips || {})
+      .filter(prefix => digits.startsWith(prefix))
+      .sort((a, b) => b.length - a.length)[0] || null;
+
+    return {
+      rate: zipPrefix ? entry.zips[zipPrefix] : entry.rate,
+      shippingTaxable: Boolean(entry.shippingTaxable),
+      zipPrefix
+    };
+  },
+
+  /**
+   * Estimate tax for an order
+   * @param {number} merchandise - Merchandise total after discounts
+   * @param {number} shipping - Shipping charge
+   * @param {string} state - Two-letter state code (optional)
+   * @param {string} zip - ZIP code (optional)
+   * @param {Object} rates - Rate table (defaults to Tax.RATES)
+   * @returns {Object} { state, zip, rate, taxable, shippingTaxable, amount, estimated }
+   *   estimated is false until a known state is given
+   */
+  quote(merchandise, shipping, state, zip, rates = this.RATES) {
+    const found = this.getRate(state, zip, rates);
+    if (!found) {
+      return { state: state || null, zip: zip || null, rate: 0, taxable: 0, shippingTaxable: false, amount: 0, estimated: false };
+    }
+
+    const taxable = merchandise + (found.shippingTaxable ? shipping : 0);
+    return {
+      state,
+      zip: zip || null,
+      rate: found.rate,
+      taxable,
+      shippingTaxable: found.shippingTaxable,
+      amount: Math.round(taxable * found.rate) / 100,
+      estimated: true
+    };
+  },
+
+  /**
+   * Label a tax quote for an order summary
+   * @param {Object} quote - Result of Tax.quote()
+   * @returns {string} e.g. "Tax (TX 8.25%)"
+   */
+  getLabel(quote) {
+    if (!quote || !quote.estimated) return 'Tax';
+    return `Tax (${quote.state} ${quote.rate}%)`;
+  }
+};
@@ -0,0 +1,414 @@
+#!/usr/bin/env node
+/**
+ * His Children - Static Page Generator
+ * Renders products/*.html and collections/*.html from data/products.json
+ * using the shared templates in templates/, with their structured data and
+ * social metadata, plus sitemap.xml and robots.txt.
+ *
+ * Usage:
+ *   node scripts/generate-pages.js          Write every page
+ *   node scripts/generate-pages.js --check  Exit 1 if a committed page is out of date
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Catalog = require('../js/catalog.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const CATALOG_PATH = path.join(ROOT, 'data', 'products.json');
+const TEMPLATE_DIR = path.join(ROOT, 'templates');
+const GENERATED_MARKER = 'Generated by scripts/generate-pages.js';
+const SITE_URL = `https://${fs.readFileSync(path.join(ROOT, 'CNAME'), 'utf8').trim()}/`;
+const SITE_NAME = 'His Children';
+
+// Root pages listed in the sitemap alongside the generated ones ('' is the home page)
+const SITEMAP_PAGES = ['', 'collection.html', 'about.html', 'search.html'];
+
+// Root pages robots.txt keeps crawlers away from
+const PRIVATE_PAGES = [
+  'cart.html', 'checkout.html', 'success.html', 'orders.html', 'order.html',
+  'gift-receipt.html', 'wishlist.html', 'offline.html', 'admin.html'
+];
+
+// Shared with the storefront, so generated pages escape, price and stock products the same way
+const escapeHTML = value => Catalog.escapeHTML(value);
+
+/**
+ * Fill a template: {{key}} is escaped, {{{key}}} is inserted as-is
+ * @param {string} template - Template source
+ * @param {Object} data - Values by key
+ * @returns {string} Rendered HTML
+ */
+function renderTemplate(template, data) {
+  return template.replace(/\{\{\{(\w+)\}\}\}|\{\{(\w+)\}\}/g, (match, rawKey, key) => {
+    const name = rawKey || key;
+    if (!(name in data)) throw new Error(`Template value "${name}" is missing`);
+    return rawKey ? data[name] : escapeHTML(data[name]);
+  });
+}
+
+/**
+ * Absolute URL for a path relative to the site root
+ * @param {string} relativePath - e.g. "products/oliver-gentle-bear.html"
+ * @returns {string} URL on the live site
+ */
+function siteURL(relativePath) {
+  return new URL(relativePath, SITE_URL).href;
+}
+
+function readTemplate(name) {
+  return fs.readFileSync(path.join(TEMPLATE_DIR, name), 'utf8');
+}
+
+const formatUSD = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format;
+
+/**
+ * Static price markup matching renderPriceHTML() in js/cart.js
+ * Pages are written in US dollars; the product page script re-renders the
+ * price in the shopper's currency.
+ * @param {Object} product - Product object
+ * @returns {string} HTML string
+ */
+function renderPrice(product) {
+  if (Catalog.isOnSale(product)) {
+    const percentOff = Catalog.calculatePercentOff(product.price, product.salePrice);
+    return [
+      '<span class="price-wrapper price-on-sale">',
+      '<span class="sale-badge">Sale</span>',
+      `<span class="price-original">${formatUSD(product.price)}</span>`,
+      `<span class="price-sale">${formatUSD(product.salePrice)}</span>`,
+      `<span class="price-percent-off">${percentOff}% off</span>`,
+      '</span>'
+    ].join('');
+  }
+  return `<span class="price-wrapper">${formatUSD(product.price)}</span>`;
+}
+
+// schema.org availability for each Catalog.getStockStatus() result
+const AVAILABILITY = {
+  sold_out: 'https://schema.org/OutOfStock',
+  low_stock: 'https://schema.org/LimitedAvailability',
+  in_stock: 'https://schema.org/InStock'
+};
+
+/**
+ * schema.org Offer for a product or one of its variants
+ * A sale price is the offer price, with the regular price as a strikethrough price.
+ * @param {Object} product - Product object
+ * @param {Object|null} variant - Variant, or null for the product itself
+ * @returns {Object} Offer
+ */
+function buildOffer(product, variant) {
+  const sold = Catalog.applyVariant(product, variant);
+  const onSale = Catalog.isOnSale(sold);
+  const offer = {
+    '@type': 'Offer',
+    url: siteURL(`products/${product.id}.html`),
+    priceCurrency: 'USD',
+    price: (onSale ? sold.salePrice : sold.price).toFixed(2),
+    availability: AVAILABILITY[Catalog.getStockStatus(product, variant)],
+    itemCondition: 'https://schema.org/NewCondition'
+  };
+  if (variant) {
+    offer.sku = variant.sku;
+    offer.name = Object.values(variant.options).join(' / ');
+  }
+  if (onSale) {
+    offer.priceSpecification = {
+      '@type': 'UnitPriceSpecification',
+      priceType: 'https://schema.org/StrikethroughPrice',
+      price: sold.price.toFixed(2),
+      priceCurrency: 'USD'
+    };
+  }
+  return offer;
+}
+
+/**
+ * schema.org Product markup, with one offer per variant
+ * @param {Object} product - Product object, with its collection name
+ * @returns {Object} Product
+ */
+function buildProductSchema(product) {
+  const variants = product.variants || [];
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'Product',
+    name: product.name,
+    description: product.shortDescription,
+    image: siteURL(product.image),
+    url: siteURL(`products/${product.id}.html`),
+    category: product.collection,
+    brand: { '@type': 'Brand', name: SITE_NAME },
+    offers: variants.length > 0 ? variants.map(v => buildOffer(product, v)) : buildOffer(product, null)
+  };
+}
+
+/**
+ * schema.org ItemList markup for a collection's products, in page order
+ * @param {Object} collection - Collection object
+ * @param {Array} products - The collection's products
+ * @returns {Object} ItemList
+ */
+function buildCollectionSchema(collection, products) {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'ItemList',
+    name: collection.name,
+    description: collection.description,
+    url: siteURL(`collections/${collection.id}.html`),
+    numberOfItems: products.length,
+    itemListElement: products.map((product, index) => ({
+      '@type': 'ListItem',
+      position: index + 1,
+      url: siteURL(`products/${product.id}.html`),
+      name: product.name
+    }))
+  };
+}
+
+/**
+ * Canonical link, Open Graph tags and JSON-LD for a page's <head>
+ * @param {Object} meta - { path, title, description, image, type, schema, price }
+ * @returns {string} HTML string
+ */
+function renderHeadMeta(meta) {
+  const tags = [
+    `<link rel="canonical" href="${escapeHTML(siteURL(meta.path))}">`,
+    `<meta property="og:site_name" content="${SITE_NAME}">`,
+    `<meta property="og:type" content="${escapeHTML(meta.type)}">`,
+    `<meta property="og:title" content="${escapeHTML(meta.title)}">`,
+    `<meta property="og:description" content="${escapeHTML(meta.description)}">`,
+    `<meta property="og:url" content="${escapeHTML(siteURL(meta.path))}">`,
+    `<meta property="og:image" content="${escapeHTML(siteURL(meta.image))}">`
+  ];
+  if (meta.price) {
+    tags.push(`<meta property="product:price:amount" content="${meta.price}">`);
+    tags.push('<meta property="product:price:currency" content="USD">');
+  }
+  // "<" is escaped so catalog text can't close the script element
+  const json = JSON.stringify(meta.schema, null, 2).replace(/</g, '\\u003c');
+  tags.push(`<script type="application/ld+json">\n${json}\n  </script>`);
+  return tags.map(tag => `  ${tag}\n`).join('');
+}
+
+/**
+ * List every public page for search engines
+ * Cart, checkout and order pages are private to the shopper and left out.
+ * @param {Object} catalog - Validated catalog
+ * @returns {string} sitemap.xml contents
+ */
+function renderSitemap(catalog) {
+  const paths = SITEMAP_PAGES
+    .concat(catalog.collections.map(c => `collections/${c.id}.html`))
+    .concat(catalog.products.map(p => `products/${p.id}.html`));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...paths.map(p => `  <url><loc>${escapeHTML(siteURL(p))}</loc></url>`),
+    '</urlset>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Keep crawlers off pages that only make sense for one shopper's cart,
+ * orders or wishlist, and off the admin and offline pages
+ * @returns {string} robots.txt contents
+ */
+function renderRobots() {
+  const disallow = PRIVATE_PAGES.map(page => `Disallow: /${page}\n`).join('');
+  return `User-agent: *\n${disallow}\nSitemap: ${siteURL('sitemap.xml')}\n`;
+}
+
+function renderStory(collection) {
+  if (!collection.story) return '';
+  const paragraphs = collection.story.paragraphs
+    .map(text => `      <p>\n        ${escapeHTML(text)}\n      </p>`)
+    .join('\n');
+  return `
+    <!-- Collection Story -->
+    <section class="editorial-block section--lg" style="background-color: var(--color-surface);">
+      <h2>${escapeHTML(collection.story.heading)}</h2>
+${paragraphs}
+    </section>`;
+}
+
+/**
+ * Wrap page content in the shared layout
+ * @param {Object} page - title, description, content, extra scripts and inline script
+ * @param {Array} collections - All collections, for navigation
+ * @returns {string} Complete HTML document
+ */
+function renderPage(page, collections) {
+  const base = '../';
+  const link = c => `<a href="${base}collections/${escapeHTML(c.id)}.html">${escapeHTML(c.name)}</a>`;
+
+  return renderTemplate(readTemplate('layout.html'), {
+    base,
+    title: page.title,
+    description: page.description,
+    headMeta: renderHeadMeta(page.meta),
+    navItems: collections.map(c => `          <li>${link(c)}</li>`).join('\n'),
+    mobileNavItems: collections.map(c => `      <li>${link(c)}</li>`).join('\n'),
+    footerLinks: collections.map(c => `        ${link(c)}`).join('\n'),
+    content: page.content.trimEnd(),
+    pageScripts: (page.scripts || []).map(file => `  <script src="${base}js/${file}"></script>\n`).join(''),
+    script: page.script
+  });
+}
+
+function renderProductPage(product, collections) {
+  const content = renderTemplate(readTemplate('product.html'), Object.assign({}, product, {
+    base: '../',
+    priceHTML: renderPrice(product)
+  }));
+
+  const script = `
+    const productId = ${JSON.stringify(product.id)};
+    ProductPage.init(productId, '../');
+
+    // Load the catalog so prices and variants reflect the current data
+    document.addEventListener('DOMContentLoaded', async () => {
+      await loadProductData('../');
+      ProductPage.render();
+    });`;
+
+  return renderPage({
+    title: product.name,
+    description: product.shortDescription,
+    meta: {
+      path: `products/${product.id}.html`,
+      title: product.name,
+      description: product.shortDescription,
+      image: product.image,
+      type: 'product',
+      price: Catalog.getEffectivePrice(product).toFixed(2),
+      schema: buildProductSchema(product)
+    },
+    content,
+    scripts: ['recommendations.js', 'product-page.js'],
+    script
+  }, collections);
+}
+
+function renderCollectionPage(collection, collections, products) {
+  const content = renderTemplate(readTemplate('collection.html'), Object.assign({}, collection, {
+    base: '../',
+    storyHTML: renderStory(collection)
+  }));
+
+  const script = `
+    // Load products and render collection
+    document.addEventListener('DOMContentLoaded', async () => {
+      await loadProductData('../');
+      renderCollectionProducts(${JSON.stringify(collection.id)}, 'products-grid', '../');
+    });`;
+
+  return renderPage({
+    title: collection.name,
+    description: collection.shortDescription || collection.description,
+    meta: {
+      path: `collections/${collection.id}.html`,
+      title: collection.name,
+      description: collection.shortDescription || collection.description,
+      image: collection.image,
+      type: 'website',
+      schema: buildCollectionSchema(collection, products)
+    },
+    content,
+    script
+  }, collections);
+}
+
+/**
+ * Build the full set of pages from the catalog, with the sitemap and robots.txt
+ * @returns {Map} Relative file path -> contents
+ */
+function buildPages() {
+  const catalog = Catalog.validate(JSON.parse(fs.readFileSync(CATALOG_PATH, 'utf8')));
+  if (catalog.errors.length > 0) {
+    throw new Error('Catalog is invalid:\n  ' + catalog.errors.join('\n  '));
+  }
+
+  const collectionsById = new Map(catalog.collections.map(c => [c.id, c]));
+  const productsById = new Map(catalog.products.map(p => [p.id, p]));
+  const pages = new Map();
+
+  catalog.products.forEach(product => {
+    const collection = collectionsById.get(product.collectionSlug);
+    const data = Object.assign({ collection: collection.name }, product);
+    pages.set(`products/${product.id}.html`, renderProductPage(data, catalog.collections));
+  });
+
+  catalog.collections.forEach(collection => {
+    const products = collection.products.map(id => productsById.get(id));
+    pages.set(`collections/${collection.id}.html`, renderCollectionPage(collection, catalog.collections, products));
+  });
+
+  pages.set('sitemap.xml', renderSitemap(catalog));
+  pages.set('robots.txt', renderRobots());
+
+  return pages;
+}
+
+/**
+ * Find generated pages on disk that no longer have a catalog entry
+ * @param {Map} pages - Expected pages
+ * @returns {Array} Relative paths of orphaned pages
+ */
+function findOrphans(pages) {
+  const orphans = [];
+  ['products', 'collections'].forEach(dir => {
+    fs.readdirSync(path.join(ROOT, dir))
+      .filter(name => name.endsWith('.html'))
+      .map(name => `${dir}/${name}`)
+      .filter(file => !pages.has(file))
+      .filter(file => fs.readFileSync(path.join(ROOT, file), 'utf8').includes(GENERATED_MARKER))
+      .forEach(file => orphans.push(file));
+  });
+  return orphans;
+}
+
+function main() {
+  const checkOnly = process.argv.includes('--check');
+  const pages = buildPages();
+  const stale = [];
+
+  pages.forEach((html, file) => {
+    const fullPath = path.join(ROOT, file);
+    const current = fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf8') : null;
+    if (current === html) return;
+
+    stale.push(file);
+    if (!checkOnly) fs.writeFileSync(fullPath, html);
+  });
+
+  const orphans = findOrphans(pages);
+
+  if (checkOnly) {
+    if (stale.length === 0 && orphans.length === 0) {
+      console.log(`All ${pages.size} generated files are up to date.`);
+      return;
+    }
+    stale.forEach(file => console.error(`Out of date: ${file}`));
+    orphans.forEach(file => console.error(`No catalog entry: ${file}`));
+    console.error('Run "node scripts/generate-pages.js" and commit the result.');
+    process.exitCode = 1;
+    return;
+  }
+
+  orphans.forEach(file => {
+    fs.unlinkSync(path.join(ROOT, file));
+    console.log(`Removed ${file}`);
+  });
+  console.log(`Wrote ${stale.length} of ${pages.size} files.`);
+}
+
+try {
+  main();
+} catch (e) {
+  console.error(e.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,173 @@
+/**
+ * His Children - Service Worker
+ * Keeps the storefront working offline. Install precaches every page,
+ * the stylesheet, scripts, catalog and product images; product and
+ * collection pages and images are listed from data/products.json, so new
+ * catalog entries are picked up without editing this file.
+ *
+ * Pages, scripts and the catalog are fetched from the network first and
+ * fall back to the cache; images are served stale-while-revalidate. Bump
+ * CACHE_VERSION whenever the precache list or caching rules change.
+ */
+
+const CACHE_VERSION = 'v2';
+const CACHE_PREFIX = 'hischildren-';
+const PAGE_CACHE = `${CACHE_PREFIX}pages-${CACHE_VERSION}`;
+const IMAGE_CACHE = `${CACHE_PREFIX}images-${CACHE_VERSION}`;
+const OFFLINE_PAGE = 'offline.html';
+const CATALOG_URL = 'data/products.json';
+
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'about.html',
+  'collection.html',
+  'product.html',
+  'search.html',
+  'wishlist.html',
+  'cart.html',
+  'checkout.html',
+  'success.html',
+  'orders.html',
+  'order.html',
+  'gift-receipt.html',
+  OFFLINE_PAGE,
+  'manifest.webmanifest',
+  'css/styles.css',
+  'js/analytics.js',
+  'js/catalog.js',
+  'js/currency.js',
+  'js/cart.js',
+  'js/checkout-validation.js',
+  'js/discounts.js',
+  'js/gift.js',
+  'js/order-view.js',
+  'js/payment.js',
+  'js/product-page.js',
+  'js/recommendations.js',
+  'js/search.js',
+  'js/shipping.js',
+  'js/tax.js',
+  CATALOG_URL
+];
+
+/**
+ * List the generated pages and images named in the catalog
+ * @param {Object} catalog - Parsed data/products.json
+ * @returns {Array} Relative URLs
+ */
+function getCatalogURLs(catalog) {
+  const urls = new Set();
+  (catalog.products || []).forEach(product => {
+    urls.add(`products/${product.id}.html`);
+    if (product.image) urls.add(product.image);
+    (product.variants || []).forEach(variant => {
+      if (variant.image) urls.add(variant.image);
+    });
+  });
+  (catalog.collections || []).forEach(collection => {
+    urls.add(`collections/${collection.id}.html`);
+    if (collection.image) urls.add(collection.image);
+  });
+  (catalog.bundles || []).forEach(bundle => {
+    if (bundle.image) urls.add(bundle.image);
+  });
+  return Array.from(urls);
+}
+
+/**
+ * Check whether a request is for an image
+ * @param {Request} request - Request
+ * @returns {boolean} True for images
+ */
+function isImageRequest(request) {
+  return request.destination === 'image' || /\.(jpe?g|png|gif|webp|svg)$/i.test(new URL(request.url).pathname);
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    const pages = await caches.open(PAGE_CACHE);
+    await pages.addAll(PRECACHE_URLS);
+
+    const catalog = await (await pages.match(CATALOG_URL)).json();
+    const catalogURLs = getCatalogURLs(catalog);
+    await pages.addAll(catalogURLs.filter(url => !url.startsWith('images/')));
+
+    // Some catalog photos may not exist yet; a missing one is skipped rather than
+    // stopping the install, and is cached the first time a page shows it
+    const images = await caches.open(IMAGE_CACHE);
+    await Promise.all(['images/icon.svg'].concat(catalogURLs.filter(url => url.startsWith('images/')))
+      .map(url => images.add(url).catch(() => {})));
+
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith(CACHE_PREFIX) && name !== PAGE_CACHE && name !== IMAGE_CACHE)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  if (isImageRequest(request)) {
+    event.respondWith(staleWhileRevalidate(event));
+  } else {
+    event.respondWith(networkFirst(request));
+  }
+});
+
+/**
+ * Serve an image from the cache at once and refresh it in the background
+ * Images not cached yet come from the network and are kept for next time.
+ * @param {FetchEvent} event - Fetch event
+ * @returns {Promise<Response>} Response
+ */
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(IMAGE_CACHE);
+  const cached = await cache.match(event.request);
+
+  const refresh = fetch(event.request).then(response => {
+    if (response.ok) cache.put(event.request, response.clone());
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+}
+
+/**
+ * Fetch from the network, keeping a copy, and fall back to the cache offline
+ * Copies are kept without their query string, since pages read it in the
+ * browser; product.html?id= and order.html?number= work offline that way.
+ * Pages that were never cached get the offline page.
+ * @param {Request} request - Request
+ * @returns {Promise<Response>} Response
+ */
+async function networkFirst(request) {
+  const cache = await caches.open(PAGE_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const key = new URL(request.url);
+      key.search = '';
+      cache.put(key.href, response.clone());
+    }
+    return response;
+  } catch (e) {
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    if (request.mode === 'navigate') return cache.match(OFFLINE_PAGE);
+    throw e;
+  }
+}